@@ -10,7 +10,15 @@ class GCodeSimulator {
 
         // Simulation state
         this.commands = [];
+        this.blocks = [];          // Every executed line, for single-block stepping
+        this.diagnostics = [];     // Lint results: { lineNumber, severity, message }
+        this.blockIndex = 0;       // Next block to execute
+        this.breakpoints = new Set();
+        this.runToBlock = null;
+        this.skipBreakAt = null;   // Block we resumed from, so its breakpoint is not hit again
+        this.optionalStop = true;  // Honor M1
         this.currentIndex = 0;
+        this.currentPointIndex = 0;
         this.isRunning = false;
         this.isPaused = false;
         this.animationId = null;
@@ -18,6 +26,7 @@ class GCodeSimulator {
         // Tool position
         this.toolX = 0;
         this.toolY = 0;
+        this.toolZ = 0;
         this.feedRate = 0;
 
         // Bounding box
@@ -25,26 +34,134 @@ class GCodeSimulator {
         this.maxX = 0;
         this.minY = 0;
         this.maxY = 0;
+        this.minZ = 0;
+        this.maxZ = 0;
 
         // Display settings
         this.scale = 1;
         this.offsetX = 0;
         this.offsetY = 0;
         this.padding = 60;
-        this.speed = 50;
+        this.timeScale = 10;   // Machine seconds per wall-clock second
+        this.simTime = 0;      // Elapsed machine time in seconds
+        this.lastFrameTime = null;
+
+        // View mode: 'xy' top view or '3d' rotatable orthographic view
+        this.viewMode = 'xy';
+        this.view3d = { yaw: -Math.PI / 4, elevation: Math.atan(1 / Math.SQRT2) }; // Isometric
+        this.drag = null;        // Active canvas drag: rotate, pan or box zoom
+        this.boxZoomArmed = false;
+
+        // Holding tabs clicked on the canvas, and the drawing they regenerate
+        this.tabPlacementArmed = false;
+        this.manualTabs = [];
+        this.lastDxf = null;
+        this.tabLines = null;    // { gcode, lines }: tab move line numbers of the last generated program
+        this.skippedContours = [];  // { layer, points }: contours the last program could not compensate
+
+        // Active machine profile: work envelope, limits and kinematics
+        this.builtinProfiles = [
+            {
+                name: 'Router 300×300',
+                travelX: 300, travelY: 300, zMin: -40, zMax: 40, origin: 'bottom-left',
+                maxFeed: 2000, rapidRate: 3000, acceleration: 500, junctionDeviation: 0.01
+            },
+            {
+                name: 'Pen Plotter',
+                travelX: 420, travelY: 297, zMin: -5, zMax: 10, origin: 'bottom-left',
+                maxFeed: 3000, rapidRate: 5000, acceleration: 800, junctionDeviation: 0.02
+            },
+            {
+                name: 'Laser 1200×600',
+                travelX: 1200, travelY: 600, zMin: -10, zMax: 10, origin: 'bottom-left',
+                maxFeed: 6000, rapidRate: 12000, acceleration: 1500, junctionDeviation: 0.01
+            }
+        ];
+        this.machine = { ...this.builtinProfiles[0] };
+
+        // Cutting tool: flat, ball or V-bit end mill, or a laser with a kerf
+        this.tool = { type: 'flat', diameter: 3, angle: 90, kerf: 0.15 };
+        this.renderMode = 'lines';  // 'lines', 'swept' or 'stock'
+        this.sweptLayer = null;
+
+        // DXF/SVG conversion settings, remembered between sessions
+        this.cam = {
+            feed: 400,            // mm/min
+            plungeFeed: 200,      // mm/min
+            safeZ: 5,             // Safe height for rapid moves (pen up)
+            depth: 1,             // Total cutting depth below Z0
+            stepDown: 1,          // Depth per pass
+            tolerance: 0.01,      // Chord error (mm) when flattening curves
+            toolOn: '',           // e.g. M3 S12000 for a spindle, M4 S1000 for a laser
+            toolOff: '',          // e.g. M5
+            toolPerPath: false,   // Switch the tool on/off around every cut (lasers)
+            optimize: true,       // Reorder paths to cut down rapid travel
+            linearizeArcs: false, // Output arcs as G1 segments for controllers without G2/G3
+            operation: 'on',      // Closed contours: on the line, 'outside'/'inside' by the tool radius, or 'pocket'
+            corners: 'round',     // Offset corner joins: 'round' or 'miter'
+            direction: 'climb',   // Offset cutting direction: 'climb' or 'conventional'
+            pocketStrategy: 'offset', // Pocket clearing: 'offset' rings or 'zigzag' rows
+            stepover: 40,         // Pocket stepover, % of the tool diameter
+            tabCount: 0,          // Holding tabs per closed profile (0 = none unless clicked)
+            tabWidth: 4,          // Material left by each tab (mm)
+            tabHeight: 1.5        // Tab height above the final depth (mm)
+        };
+        Object.assign(this.cam, JSON.parse(localStorage.getItem('gcodeSimulator.camSettings') || '{}'));
+        this.camFormat = 'dxf';   // Which file the settings dialog picks next
+
+        // Raster image tracing: gray threshold (0-255), output width and simplify tolerance in mm
+        this.trace = { threshold: 128, invert: false, width: 100, simplify: 0.1 };
+        Object.assign(this.trace, JSON.parse(localStorage.getItem('gcodeSimulator.traceSettings') || '{}'));
+        this.traceImage = null;
+
+        // Laser raster engraving: width (mm), resolution, S power range and overscan (mm)
+        this.raster = { width: 100, dpi: 254, feed: 3000, minPower: 0, maxPower: 1000, overscan: 5, dynamic: true, invert: false };
+        Object.assign(this.raster, JSON.parse(localStorage.getItem('gcodeSimulator.rasterSettings') || '{}'));
+
+        // Text engraving: height, letter spacing, position and depth in mm, rotation in degrees
+        this.textTool = { ...TEXT_DEFAULTS };
+        Object.assign(this.textTool, JSON.parse(localStorage.getItem('gcodeSimulator.textSettings') || '{}'));
+
+        // The "before" rapid travel of an optimized program is shown until the program changes
+        this.optimizedText = null;
+        this.rapidTravelBefore = null;
+
+        // Stock block for the heightmap simulation; its top face is Z0
+        this.stock = { autoSize: true, x: 0, y: 0, width: 100, height: 100, thickness: 10, resolution: 0.5 };
+        this.heightmap = null;
+        this.stockImage = null;
+        this.lineTimes = new Map();
+
+        // Highest laser power of a program whose cuts are shaded by S (0 when not shaded)
+        this.maxPower = 0;
 
         // Drawing state
         this.pathHistory = [];
 
+        // Canvas <-> editor linking (1-based line numbers, null when none)
+        this.selectedLine = null;
+        this.hoverLine = null;
+        this.activeLine = null;
+
         // Colors
         this.colors = {
             rapid: '#ffaa00',
             linear: '#00ff88',
+            plunge: '#ff44cc',
+            highlight: '#ffffff',
+            retract: '#b388ff',
             tool: '#ff4466',
             grid: 'rgba(100, 100, 120, 0.15)',
             gridMajor: 'rgba(100, 100, 120, 0.3)',
             axis: 'rgba(0, 212, 255, 0.5)',
-            background: '#252532'
+            background: '#252532',
+            bed: 'rgba(123, 97, 255, 0.05)',
+            bedBorder: 'rgba(123, 97, 255, 0.6)',
+            violation: '#ff2244',
+            swept: '#00d4ff',
+            stockTop: [125, 130, 150],
+            stockFloor: [0, 150, 200],
+            tab: '#ffd000'
         };
 
         this.init();
@@ -82,23 +199,137 @@ class GCodeSimulator {
         document.getElementById('resetBtn').addEventListener('click', () => this.reset());
         document.getElementById('loadFileBtn').addEventListener('click', () => document.getElementById('fileInput').click());
         document.getElementById('saveFileBtn').addEventListener('click', () => this.saveFile());
-        document.getElementById('loadDxfBtn').addEventListener('click', () => document.getElementById('dxfFileInput').click());
+        document.getElementById('exportSelect').addEventListener('change', (e) => {
+            if (e.target.value) this.exportToolpath(e.target.value);
+            e.target.value = '';
+        });
+        document.getElementById('loadDxfBtn').addEventListener('click', () => this.showCamDialog('dxf'));
+        document.getElementById('loadSvgBtn').addEventListener('click', () => this.showCamDialog('svg'));
+        document.getElementById('loadImageBtn').addEventListener('click', () => this.showCamDialog('image'));
+        document.getElementById('rasterBtn').addEventListener('click', () => this.showRasterDialog());
+        document.getElementById('textBtn').addEventListener('click', () => this.showTextDialog());
+        document.getElementById('optimizeBtn').addEventListener('click', () => this.optimizeLoadedGcode());
+        document.getElementById('pocketBtn').addEventListener('click', () => this.pocketLoadedGcode());
 
         // File inputs
         document.getElementById('fileInput').addEventListener('change', (e) => this.loadFile(e));
         document.getElementById('dxfFileInput').addEventListener('change', (e) => this.loadDxfFile(e));
+        document.getElementById('svgFileInput').addEventListener('change', (e) => this.loadSvgFile(e));
+        document.getElementById('imageFileInput').addEventListener('change', (e) => this.loadImageFile(e));
+        document.getElementById('rasterFileInput').addEventListener('change', (e) => this.loadRasterFile(e));
+
+        // DXF conversion settings dialog
+        document.getElementById('camChooseBtn').addEventListener('click', () => this.applyCamSettings());
+        document.getElementById('camCancelBtn').addEventListener('click', () => this.hideCamDialog());
+        document.getElementById('camClose').addEventListener('click', () => this.hideCamDialog());
+        document.getElementById('camOverlay').addEventListener('click', () => this.hideCamDialog());
+
+        // Image tracing dialog
+        for (const id of ['traceThresholdInput', 'traceInvertCheck', 'traceWidthInput', 'traceSimplifyInput']) {
+            document.getElementById(id).addEventListener('input', () => this.updateTracePreview());
+        }
+        document.getElementById('traceApplyBtn').addEventListener('click', () => this.applyTraceSettings());
+        document.getElementById('traceCancelBtn').addEventListener('click', () => this.hideTraceDialog());
+        document.getElementById('traceClose').addEventListener('click', () => this.hideTraceDialog());
+        document.getElementById('traceOverlay').addEventListener('click', () => this.hideTraceDialog());
+
+        // Laser raster dialog
+        document.getElementById('rasterChooseBtn').addEventListener('click', () => this.applyRasterSettings());
+        document.getElementById('rasterCancelBtn').addEventListener('click', () => this.hideRasterDialog());
+        document.getElementById('rasterClose').addEventListener('click', () => this.hideRasterDialog());
+        document.getElementById('rasterOverlay').addEventListener('click', () => this.hideRasterDialog());
+
+        // Text engraving dialog
+        document.getElementById('textAppendBtn').addEventListener('click', () => this.applyTextTool(true));
+        document.getElementById('textReplaceBtn').addEventListener('click', () => this.applyTextTool(false));
+        document.getElementById('textCancelBtn').addEventListener('click', () => this.hideTextDialog());
+        document.getElementById('textClose').addEventListener('click', () => this.hideTextDialog());
+        document.getElementById('textOverlay').addEventListener('click', () => this.hideTextDialog());
+
+        // DXF layer dialog
+        document.getElementById('dxfLayersApply').addEventListener('click', () => this.applyDxfLayers());
+        document.getElementById('dxfLayersCancel').addEventListener('click', () => this.hideDxfLayersDialog());
+        document.getElementById('dxfLayersClose').addEventListener('click', () => this.hideDxfLayersDialog());
+        document.getElementById('dxfLayersOverlay').addEventListener('click', () => this.hideDxfLayersDialog());
 
         // G-code input
         document.getElementById('gcodeInput').addEventListener('input', () => this.parseGcode());
 
-        // Speed slider
-        document.getElementById('speedSlider').addEventListener('input', (e) => {
-            this.speed = parseInt(e.target.value);
-            document.getElementById('speedValue').textContent = `${this.speed}%`;
+        // Machine profile
+        this.initMachineProfiles();
+
+        // Tool definition, stock and render mode
+        this.bindToolInputs();
+        this.bindStockInputs();
+        document.getElementById('renderModeSelect').addEventListener('change', (e) => {
+            this.renderMode = e.target.value;
+            this.draw();
+        });
+
+        // Playback speed multiplier
+        document.getElementById('speedSelect').addEventListener('change', (e) => {
+            this.timeScale = parseFloat(e.target.value);
         });
 
-        // Canvas mouse move for coordinates
-        this.canvas.addEventListener('mousemove', (e) => this.showCursorPosition(e));
+        // Draggable timeline
+        const progressBar = document.getElementById('progressBar');
+        progressBar.addEventListener('pointerdown', (e) => {
+            if (this.commands.length === 0) return;
+            this.isScrubbing = true;
+            progressBar.setPointerCapture(e.pointerId);
+            this.seekFromPointer(e);
+        });
+        progressBar.addEventListener('pointermove', (e) => {
+            if (this.isScrubbing) this.seekFromPointer(e);
+        });
+        progressBar.addEventListener('pointerup', () => { this.isScrubbing = false; });
+        progressBar.addEventListener('pointercancel', () => { this.isScrubbing = false; });
+
+        // Single-block debugging
+        document.getElementById('stepBackBtn').addEventListener('click', () => this.stepBack());
+        document.getElementById('stepBtn').addEventListener('click', () => this.stepForward());
+        document.getElementById('runToLineBtn').addEventListener('click', () => {
+            const lineNumber = parseInt(document.getElementById('runToLineInput').value);
+            if (lineNumber > 0) this.runToLine(lineNumber);
+        });
+        document.getElementById('optionalStopCheck').addEventListener('change', (e) => {
+            this.optionalStop = e.target.checked;
+        });
+
+        // View mode toggle
+        document.getElementById('viewXyBtn').addEventListener('click', () => this.setViewMode('xy'));
+        document.getElementById('view3dBtn').addEventListener('click', () => this.setViewMode('3d'));
+
+        // Canvas mouse move for coordinates and segment hover
+        this.canvas.addEventListener('mousemove', (e) => {
+            this.showCursorPosition(e);
+            if (!this.drag) this.hoverAt(this.getCanvasPoint(e));
+        });
+        this.canvas.addEventListener('mouseleave', () => this.setHoverLine(null));
+
+        // Zoom controls
+        document.getElementById('zoomFitBtn').addEventListener('click', () => {
+            this.calculateView();
+            this.draw();
+        });
+        document.getElementById('zoomBoxBtn').addEventListener('click', () => this.setBoxZoomArmed(!this.boxZoomArmed));
+        document.getElementById('zoomLineBtn').addEventListener('click', () => this.zoomToSelectedLine());
+        document.getElementById('tabsBtn').addEventListener('click', () => this.setTabPlacementArmed(!this.tabPlacementArmed));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+
+        // Canvas drags: shift or armed box zoom, rotate (3D left button), otherwise pan
+        this.canvas.addEventListener('mousedown', (e) => this.startCanvasDrag(e));
+        window.addEventListener('mousemove', (e) => this.updateCanvasDrag(e));
+        window.addEventListener('mouseup', (e) => this.endCanvasDrag(e));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        // Double-click in 3D returns to the isometric view
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.viewMode !== '3d') return;
+            this.view3d = { yaw: -Math.PI / 4, elevation: Math.atan(1 / Math.SQRT2) };
+            this.calculateView();
+            this.draw();
+        });
     }
 
     loadFile(event) {
@@ -109,458 +340,5371 @@ class GCodeSimulator {
         document.getElementById('filenameInput').value = file.name;
 
         const reader = new FileReader();
-        reader.onload = (e) => {
-            document.getElementById('gcodeInput').value = e.target.result;
-            this.parseGcode();
-        };
+        reader.onload = (e) => this.loadProgram(e.target.result);
         reader.readAsText(file);
     }
 
+    /**
+     * Replace the program: show it in the editor, then parse it. A new
+     * program is fit to the view; pass `fit` false for a change to the
+     * current one (append, optimize, pocket) to keep the zoom.
+     */
+    loadProgram(gcode, fit = true) {
+        document.getElementById('gcodeInput').value = gcode;
+        this.renderEditor();
+        this.parseGcode({ fit });
+    }
+
     loadDxfFile(event) {
+        this.loadDrawingFile(event, 'DXF', (content) => this.parseDxf(content));
+    }
+
+    loadSvgFile(event) {
+        this.loadDrawingFile(event, 'SVG', (content) => this.parseSvg(content));
+    }
+
+    /**
+     * Read a drawing with `parse` and convert it, asking for per-layer
+     * cut settings first when it has several layers.
+     */
+    loadDrawingFile(event, format, parse) {
         const file = event.target.files[0];
         if (!file) return;
 
         // Set filename (change extension to .gcode)
-        const baseName = file.name.replace(/\.dxf$/i, '');
+        const baseName = file.name.replace(/\.(dxf|svg)$/i, '');
         document.getElementById('filenameInput').value = baseName + '.gcode';
 
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                const gcode = this.dxfToGcode(e.target.result);
-                document.getElementById('gcodeInput').value = gcode;
-                this.parseGcode();
-                this.showSaveNotification('DXF converted successfully!');
+                const drawing = parse(e.target.result);
+                if (drawing.entities.length === 0) {
+                    throw new Error('No supported entities found');
+                }
+
+                // Drawings with several layers get per-layer cut settings first
+                const layers = this.getDxfLayers(drawing);
+                if (layers.length > 1) {
+                    this.showDxfLayersDialog(drawing, layers);
+                } else {
+                    this.applyDxfGcode(drawing, null);
+                }
             } catch (error) {
-                console.error('DXF parsing error:', error);
-                alert('Error parsing DXF file: ' + error.message);
+                console.error(`${format} parsing error:`, error);
+                alert(`Error parsing ${format} file: ` + error.message);
             }
         };
         reader.readAsText(file);
     }
 
-    dxfToGcode(dxfContent) {
-        const lines = dxfContent.split('\n').map(l => l.trim());
-        const entities = [];
-        let i = 0;
-
-        // Find ENTITIES section
-        while (i < lines.length && lines[i] !== 'ENTITIES') {
-            i++;
+    applyDxfGcode(drawing, layers) {
+        this.lastDxf = { drawing, layers };
+        this.manualTabs = [];
+        this.updateDxfGcode(true);
+        const format = { 'SVG file': 'SVG', 'image contour extraction': 'Image' }[drawing.source] || 'DXF';
+        this.showSaveNotification(`${format} converted successfully!`);
+
+        if (this.skippedContours.length > 0) {
+            const describe = ({ layer, points }) => {
+                const xs = points.map(point => point.x);
+                const ys = points.map(point => point.y);
+                const size = `${+(Math.max(...xs) - Math.min(...xs)).toFixed(3)} x ${+(Math.max(...ys) - Math.min(...ys)).toFixed(3)}mm`;
+                return `${layer === null ? '' : `Layer ${layer}: `}${size} at (${+Math.min(...xs).toFixed(3)}, ${+Math.min(...ys).toFixed(3)})`;
+            };
+            alert(`${this.skippedContours.length} contour${this.skippedContours.length > 1 ? 's are' : ' is'} too small for the tool and ` +
+                `${this.skippedContours.length > 1 ? 'were' : 'was'} left out:\n` + this.skippedContours.map(describe).join('\n'));
         }
-        i++; // Skip 'ENTITIES'
+    }
 
-        // Parse entities
-        while (i < lines.length && lines[i] !== 'ENDSEC') {
-            if (lines[i] === 'LINE') {
-                const entity = this.parseDxfLine(lines, i);
-                if (entity) entities.push(entity);
-            } else if (lines[i] === 'LWPOLYLINE' || lines[i] === 'POLYLINE') {
-                const entity = this.parseDxfPolyline(lines, i, lines[i]);
-                if (entity) entities.push(entity);
-            } else if (lines[i] === 'CIRCLE') {
-                const entity = this.parseDxfCircle(lines, i);
-                if (entity) entities.push(entity);
-            } else if (lines[i] === 'ARC') {
-                const entity = this.parseDxfArc(lines, i);
-                if (entity) entities.push(entity);
-            }
-            i++;
+    /**
+     * Generate the program for the last converted drawing, again after tabs
+     * are placed on it. Only a new drawing is fit to the view.
+     */
+    updateDxfGcode(fit = false) {
+        const { drawing, layers } = this.lastDxf;
+
+        // Report the rapid travel saved against cutting in file order. The
+        // program that is loaded is generated last so its tab lines are kept.
+        const fileOrder = this.cam.optimize
+            ? this.measureRapidTravel(this.generateGcodeFromEntities(drawing.entities, drawing.units, layers, false, drawing.source))
+            : null;
+        const gcode = this.generateGcodeFromEntities(drawing.entities, drawing.units, layers, this.cam.optimize, drawing.source);
+
+        if (this.cam.optimize) this.setOptimizedProgram(gcode, fileOrder);
+        this.loadProgram(gcode, fit);
+    }
+
+    dxfToGcode(dxfContent, layers = null) {
+        const drawing = this.parseDxf(dxfContent);
+        if (drawing.entities.length === 0) {
+            throw new Error('No supported entities found');
         }
 
         // Generate G-code
-        return this.generateGcodeFromEntities(entities);
+        return this.generateGcodeFromEntities(drawing.entities, drawing.units, layers);
     }
 
-    parseDxfLine(lines, startIndex) {
-        let i = startIndex + 1;
-        let x1 = 0, y1 = 0, x2 = 0, y2 = 0;
+    /**
+     * Read a DXF file into flat entities (LINE, POLYLINE with bulges,
+     * CIRCLE, ARC, POINT) in millimeters, with block references expanded
+     * and curves that have no G-code equivalent flattened to polylines.
+     */
+    parseDxf(dxfContent) {
+        const pairs = this.readDxfPairs(dxfContent);
+        const blocks = {};
+        const layerTable = {};
+        let rawEntities = [];
+        let unitsCode = 0;
+        let i = 0;
 
-        while (i < lines.length && lines[i] !== '0') {
-            const code = parseInt(lines[i]);
-            const value = lines[i + 1];
+        while (i < pairs.length) {
+            if (pairs[i].code !== 0 || pairs[i].value !== 'SECTION') {
+                i++;
+                continue;
+            }
+            const section = pairs[i + 1] ? pairs[i + 1].value : '';
+            i += 2;
 
-            if (code === 10) x1 = parseFloat(value);
-            else if (code === 20) y1 = parseFloat(value);
-            else if (code === 11) x2 = parseFloat(value);
-            else if (code === 21) y2 = parseFloat(value);
+            if (section === 'HEADER') {
+                for (; i < pairs.length && pairs[i].value !== 'ENDSEC'; i++) {
+                    if (pairs[i].code === 9 && pairs[i].value === '$INSUNITS' && pairs[i + 1]) {
+                        unitsCode = parseInt(pairs[i + 1].value) || 0;
+                    }
+                }
+            } else if (section === 'TABLES') {
+                while (i < pairs.length && pairs[i].value !== 'ENDSEC') {
+                    const entry = this.readDxfEntity(pairs, i);
+                    i = entry.next;
+                    if (entry.type !== 'LAYER') continue;
+
+                    // Frozen (flag 1) or switched off (negative color) layers are not plotted
+                    layerTable[this.getDxfValue(entry, 2, '0')] = {
+                        hidden: (this.getDxfNumber(entry, 70, 0) & 1) === 1 || this.getDxfNumber(entry, 62, 7) < 0
+                    };
+                }
+            } else if (section === 'BLOCKS') {
+                while (i < pairs.length && pairs[i].value !== 'ENDSEC') {
+                    const entity = this.readDxfEntity(pairs, i);
+                    i = entity.next;
+                    if (entity.type !== 'BLOCK') continue;
+
+                    // Collect everything up to ENDBLK
+                    const block = {
+                        name: this.getDxfValue(entity, 2, ''),
+                        baseX: this.getDxfNumber(entity, 10, 0),
+                        baseY: this.getDxfNumber(entity, 20, 0),
+                        entities: []
+                    };
+                    while (i < pairs.length && pairs[i].value !== 'ENDBLK' && pairs[i].value !== 'ENDSEC') {
+                        const child = this.readDxfEntity(pairs, i);
+                        block.entities.push(child);
+                        i = child.next;
+                    }
+                    blocks[block.name] = block;
+                }
+            } else if (section === 'ENTITIES') {
+                while (i < pairs.length && pairs[i].value !== 'ENDSEC') {
+                    const entity = this.readDxfEntity(pairs, i);
+                    rawEntities.push(entity);
+                    i = entity.next;
+                }
+            }
+        }
 
-            i += 2;
+        // Old files without sections: treat the whole file as ENTITIES
+        if (rawEntities.length === 0 && !pairs.some(pair => pair.value === 'SECTION')) {
+            for (i = 0; i < pairs.length;) {
+                const entity = this.readDxfEntity(pairs, i);
+                rawEntities.push(entity);
+                i = entity.next;
+            }
         }
 
-        return { type: 'LINE', x1, y1, x2, y2 };
-    }
+        // $INSUNITS: 1 in, 2 ft, 4 mm, 5 cm, 6 m; 0 (unitless) is taken as mm
+        const unitScales = { 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000, 8: 0.0000254, 9: 0.0254, 10: 914.4, 14: 100 };
+        const unitNames = { 1: 'inches', 2: 'feet', 4: 'mm', 5: 'cm', 6: 'meters', 8: 'microinches', 9: 'mils', 10: 'yards', 14: 'decimeters' };
+        const unitScale = unitScales[unitsCode] || 1;
+        const toMm = { a: unitScale, b: 0, c: 0, d: unitScale, e: 0, f: 0 };
 
-    parseDxfPolyline(lines, startIndex, entityType) {
-        let i = startIndex + 1;
-        const points = [];
-        let closed = false;
-        let currentX = 0, currentY = 0;
+        const entities = [];
+        for (const raw of rawEntities) {
+            entities.push(...this.convertDxfEntity(raw, blocks, toMm, 0));
+        }
 
-        while (i < lines.length && (lines[i] !== '0' || (lines[i] === '0' && lines[i + 1] === 'VERTEX'))) {
-            const code = parseInt(lines[i]);
-            const value = lines[i + 1];
+        return { entities, units: unitNames[unitsCode] || 'mm', layerTable, source: 'DXF file' };
+    }
 
-            if (code === 10) {
-                if (currentX !== 0 || currentY !== 0 || points.length > 0) {
-                    points.push({ x: currentX, y: currentY });
-                }
-                currentX = parseFloat(value);
-            } else if (code === 20) {
-                currentY = parseFloat(value);
-            } else if (code === 70) {
-                closed = (parseInt(value) & 1) === 1;
+    readDxfPairs(dxfContent) {
+        const lines = dxfContent.split('\n').map(l => l.trim());
+        const pairs = [];
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i]);
+            if (isNaN(code)) {
+                throw new Error(`Bad group code "${lines[i]}" on line ${i + 1}`);
             }
+            pairs.push({ code, value: lines[i + 1] });
+        }
+        return pairs;
+    }
 
-            i += 2;
-
-            // Break at next entity
-            if (lines[i] === '0' && lines[i + 1] !== 'VERTEX') break;
+    /**
+     * Read the entity starting at pairs[index] (a group 0 pair). POLYLINE
+     * also consumes its VERTEX entities and the closing SEQEND.
+     */
+    readDxfEntity(pairs, index) {
+        const entity = { type: pairs[index].value, pairs: [] };
+        let i = index + 1;
+        while (i < pairs.length && pairs[i].code !== 0) {
+            entity.pairs.push(pairs[i++]);
         }
 
-        // Add last point
-        if (currentX !== 0 || currentY !== 0) {
-            points.push({ x: currentX, y: currentY });
+        if (entity.type === 'POLYLINE') {
+            entity.vertices = [];
+            while (i < pairs.length && pairs[i].value === 'VERTEX') {
+                const vertex = this.readDxfEntity(pairs, i);
+                entity.vertices.push(vertex);
+                i = vertex.next;
+            }
+            if (i < pairs.length && pairs[i].value === 'SEQEND') {
+                i = this.readDxfEntity(pairs, i).next;
+            }
         }
 
-        return { type: 'POLYLINE', points, closed };
+        entity.next = i;
+        return entity;
     }
 
-    parseDxfCircle(lines, startIndex) {
-        let i = startIndex + 1;
-        let cx = 0, cy = 0, r = 0;
+    getDxfValue(entity, code, fallback) {
+        const pair = entity.pairs.find(p => p.code === code);
+        return pair ? pair.value : fallback;
+    }
 
-        while (i < lines.length && lines[i] !== '0') {
-            const code = parseInt(lines[i]);
-            const value = lines[i + 1];
+    getDxfNumber(entity, code, fallback) {
+        const value = parseFloat(this.getDxfValue(entity, code, ''));
+        return isNaN(value) ? fallback : value;
+    }
 
-            if (code === 10) cx = parseFloat(value);
-            else if (code === 20) cy = parseFloat(value);
-            else if (code === 40) r = parseFloat(value);
+    getDxfNumbers(entity, code) {
+        return entity.pairs.filter(p => p.code === code).map(p => parseFloat(p.value));
+    }
 
-            i += 2;
+    /**
+     * Turn one raw entity into flat entities in world millimeters.
+     * `transform` is the affine matrix of the enclosing block references;
+     * block entities on layer 0 take the layer of their INSERT.
+     */
+    convertDxfEntity(raw, blocks, transform, depth, parentLayer = '0') {
+        let layer = this.getDxfValue(raw, 8, '0');
+        if (layer === '0') layer = parentLayer;
+        let entity = null;
+
+        switch (raw.type) {
+            case 'LINE': entity = this.parseDxfLine(raw); break;
+            case 'LWPOLYLINE':
+            case 'POLYLINE': entity = this.parseDxfPolyline(raw); break;
+            case 'CIRCLE': entity = this.parseDxfCircle(raw); break;
+            case 'ARC': entity = this.parseDxfArc(raw); break;
+            case 'ELLIPSE': entity = this.parseDxfEllipse(raw); break;
+            case 'SPLINE': entity = this.parseDxfSpline(raw); break;
+            case 'POINT': entity = { type: 'POINT', x: this.getDxfNumber(raw, 10, 0), y: this.getDxfNumber(raw, 20, 0) }; break;
+            case 'INSERT': return this.expandDxfInsert(raw, blocks, transform, depth, layer);
+            default: return [];
+        }
+        if (!entity) return [];
+
+        // Entities drawn with a flipped extrusion direction (0, 0, -1) are mirrored in X
+        const ocsEntities = ['LWPOLYLINE', 'POLYLINE', 'CIRCLE', 'ARC'];
+        if (ocsEntities.includes(raw.type) && this.getDxfNumber(raw, 230, 1) < 0) {
+            entity = this.transformDxfEntity(entity, { a: -1, b: 0, c: 0, d: 1, e: 0, f: 0 });
         }
 
-        return { type: 'CIRCLE', cx, cy, r };
+        return [{ ...this.transformDxfEntity(entity, transform), layer }];
     }
 
-    parseDxfArc(lines, startIndex) {
-        let i = startIndex + 1;
-        let cx = 0, cy = 0, r = 0, startAngle = 0, endAngle = 360;
+    expandDxfInsert(raw, blocks, transform, depth, layer) {
+        const block = blocks[this.getDxfValue(raw, 2, '')];
+        // Guard against blocks that (indirectly) insert themselves
+        if (!block || depth > 16) return [];
 
-        while (i < lines.length && lines[i] !== '0') {
-            const code = parseInt(lines[i]);
-            const value = lines[i + 1];
+        const scaleX = this.getDxfNumber(raw, 41, 1);
+        const scaleY = this.getDxfNumber(raw, 42, 1);
+        const rotation = this.getDxfNumber(raw, 50, 0) * Math.PI / 180;
+        const columns = Math.max(1, this.getDxfNumber(raw, 70, 1));
+        const rows = Math.max(1, this.getDxfNumber(raw, 71, 1));
+        const columnSpacing = this.getDxfNumber(raw, 44, 0);
+        const rowSpacing = this.getDxfNumber(raw, 45, 0);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
 
-            if (code === 10) cx = parseFloat(value);
-            else if (code === 20) cy = parseFloat(value);
-            else if (code === 40) r = parseFloat(value);
-            else if (code === 50) startAngle = parseFloat(value);
-            else if (code === 51) endAngle = parseFloat(value);
+        let ocs = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        if (this.getDxfNumber(raw, 230, 1) < 0) ocs = { a: -1, b: 0, c: 0, d: 1, e: 0, f: 0 };
 
-            i += 2;
+        const entities = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Array cells are laid out in the rotated block frame
+                const x = this.getDxfNumber(raw, 10, 0) + cos * column * columnSpacing - sin * row * rowSpacing;
+                const y = this.getDxfNumber(raw, 20, 0) + sin * column * columnSpacing + cos * row * rowSpacing;
+
+                // insertion point * rotation * scale * (block base point at the origin)
+                const local = {
+                    a: cos * scaleX, b: sin * scaleX,
+                    c: -sin * scaleY, d: cos * scaleY,
+                    e: x - (cos * scaleX * block.baseX - sin * scaleY * block.baseY),
+                    f: y - (sin * scaleX * block.baseX + cos * scaleY * block.baseY)
+                };
+                const combined = this.multiplyTransforms(transform, this.multiplyTransforms(ocs, local));
+
+                for (const child of block.entities) {
+                    entities.push(...this.convertDxfEntity(child, blocks, combined, depth + 1, layer));
+                }
+            }
+        }
+        return entities;
+    }
+
+    multiplyTransforms(m, n) {
+        return {
+            a: m.a * n.a + m.c * n.b,
+            b: m.b * n.a + m.d * n.b,
+            c: m.a * n.c + m.c * n.d,
+            d: m.b * n.c + m.d * n.d,
+            e: m.a * n.e + m.c * n.f + m.e,
+            f: m.b * n.e + m.d * n.f + m.f
+        };
+    }
+
+    /**
+     * Apply an affine transform. Arcs and bulges survive rotation, uniform
+     * scale and mirroring; a non-uniform scale turns them into ellipses,
+     * so they are flattened first.
+     */
+    transformDxfEntity(entity, m) {
+        const apply = (p) => ({ ...p, x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f });
+        const det = m.a * m.d - m.b * m.c;
+        const lengthA = Math.hypot(m.a, m.b);
+        const lengthC = Math.hypot(m.c, m.d);
+        const similar = Math.abs(m.a * m.c + m.b * m.d) < 1e-9 * lengthA * lengthC + 1e-12 &&
+            Math.abs(lengthA - lengthC) < 1e-9 * Math.max(lengthA, lengthC);
+
+        if (entity.type === 'LINE') {
+            const start = apply({ x: entity.x1, y: entity.y1 });
+            const end = apply({ x: entity.x2, y: entity.y2 });
+            return { ...entity, x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+        }
+        if (entity.type === 'POINT') {
+            return apply(entity);
+        }
+        if ((entity.type === 'CIRCLE' || entity.type === 'ARC') && !similar) {
+            return this.transformDxfEntity(this.flattenDxfArc(entity), m);
+        }
+        if (entity.type === 'CIRCLE') {
+            const center = apply({ x: entity.cx, y: entity.cy });
+            return { ...entity, cx: center.x, cy: center.y, r: entity.r * Math.sqrt(Math.abs(det)) };
+        }
+        if (entity.type === 'ARC') {
+            // Map the end points and measure their angles around the new center
+            const toPoint = (degrees) => apply({
+                x: entity.cx + entity.r * Math.cos(degrees * Math.PI / 180),
+                y: entity.cy + entity.r * Math.sin(degrees * Math.PI / 180)
+            });
+            const center = apply({ x: entity.cx, y: entity.cy });
+            const angleOf = (p) => Math.atan2(p.y - center.y, p.x - center.x) * 180 / Math.PI;
+            let startAngle = angleOf(toPoint(entity.startAngle));
+            let endAngle = angleOf(toPoint(entity.endAngle));
+            // A mirror reverses the direction; DXF arcs always run counter-clockwise
+            if (det < 0) [startAngle, endAngle] = [endAngle, startAngle];
+            return { ...entity, cx: center.x, cy: center.y, r: entity.r * Math.sqrt(Math.abs(det)), startAngle, endAngle };
         }
 
-        return { type: 'ARC', cx, cy, r, startAngle, endAngle };
+        // POLYLINE
+        const source = similar ? entity : this.flattenDxfBulges(entity);
+        return {
+            ...source,
+            points: source.points.map(p => ({ ...apply(p), bulge: det < 0 ? -p.bulge : p.bulge }))
+        };
     }
 
-    generateGcodeFromEntities(entities) {
-        const feedRate = 400;
-        const safeZ = 5;      // Safe height for rapid moves (pen up)
-        const cutZ = -1;      // Cutting/drawing depth (pen down)
+    parseDxfLine(raw) {
+        return {
+            type: 'LINE',
+            x1: this.getDxfNumber(raw, 10, 0),
+            y1: this.getDxfNumber(raw, 20, 0),
+            x2: this.getDxfNumber(raw, 11, 0),
+            y2: this.getDxfNumber(raw, 21, 0)
+        };
+    }
 
-        let gcode = [
-            '%',
-            '(Generated from DXF file)',
-            '(Feed Rate: ' + feedRate + ' mm/min)',
-            `(Safe Z: ${safeZ}mm, Cut Z: ${cutZ}mm)`,
-            '',
-            'G21         ; Millimeters',
-            'G90         ; Absolute positioning',
-            'G17         ; XY plane',
-            '',
-            '; Initialize - lift pen and go to origin',
-            `G0 Z${safeZ}`,
-            'G0 X0 Y0',
-            ''
-        ];
+    /**
+     * LWPOLYLINE keeps its vertices inline (each group 10 starts a new
+     * one); the older POLYLINE has VERTEX sub-entities. Group 42 is the
+     * bulge of the segment leaving a vertex: tan(included angle / 4),
+     * positive for counter-clockwise.
+     */
+    parseDxfPolyline(raw) {
+        const flags = this.getDxfNumber(raw, 70, 0);
+        const points = [];
 
-        for (const entity of entities) {
-            if (entity.type === 'LINE') {
-                gcode.push(`; LINE`);
-                gcode.push(`G0 Z${safeZ}           ; Pen up`);
-                gcode.push(`G0 X${entity.x1.toFixed(3)} Y${entity.y1.toFixed(3)}`);
-                gcode.push(`G0 Z${cutZ}            ; Pen down`);
-                gcode.push(`G1 X${entity.x2.toFixed(3)} Y${entity.y2.toFixed(3)} F${feedRate}`);
-            } else if (entity.type === 'POLYLINE' && entity.points.length > 1) {
-                gcode.push(`; POLYLINE (${entity.points.length} points)`);
-                gcode.push(`G0 Z${safeZ}           ; Pen up`);
-                gcode.push(`G0 X${entity.points[0].x.toFixed(3)} Y${entity.points[0].y.toFixed(3)}`);
-                gcode.push(`G0 Z${cutZ}            ; Pen down`);
-                for (let j = 1; j < entity.points.length; j++) {
-                    gcode.push(`G1 X${entity.points[j].x.toFixed(3)} Y${entity.points[j].y.toFixed(3)} F${feedRate}`);
-                }
-                if (entity.closed) {
-                    gcode.push(`G1 X${entity.points[0].x.toFixed(3)} Y${entity.points[0].y.toFixed(3)} F${feedRate}`);
-                }
-            } else if (entity.type === 'CIRCLE') {
-                gcode.push(`; CIRCLE (center: ${entity.cx.toFixed(3)}, ${entity.cy.toFixed(3)}, r: ${entity.r.toFixed(3)})`);
-                // Approximate circle with line segments
-                const segments = 36;
-                const firstX = entity.cx + entity.r;
-                const firstY = entity.cy;
-                gcode.push(`G0 Z${safeZ}           ; Pen up`);
-                gcode.push(`G0 X${firstX.toFixed(3)} Y${firstY.toFixed(3)}`);
-                gcode.push(`G0 Z${cutZ}            ; Pen down`);
-                for (let j = 1; j <= segments; j++) {
-                    const angle = (j / segments) * 2 * Math.PI;
-                    const x = entity.cx + entity.r * Math.cos(angle);
-                    const y = entity.cy + entity.r * Math.sin(angle);
-                    gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} F${feedRate}`);
-                }
-            } else if (entity.type === 'ARC') {
-                gcode.push(`; ARC`);
-                const segments = 18;
-                const startRad = entity.startAngle * Math.PI / 180;
-                const endRad = entity.endAngle * Math.PI / 180;
-                let angleDiff = endRad - startRad;
-                if (angleDiff < 0) angleDiff += 2 * Math.PI;
-
-                const firstX = entity.cx + entity.r * Math.cos(startRad);
-                const firstY = entity.cy + entity.r * Math.sin(startRad);
-                gcode.push(`G0 Z${safeZ}           ; Pen up`);
-                gcode.push(`G0 X${firstX.toFixed(3)} Y${firstY.toFixed(3)}`);
-                gcode.push(`G0 Z${cutZ}            ; Pen down`);
-
-                for (let j = 1; j <= segments; j++) {
-                    const angle = startRad + (j / segments) * angleDiff;
-                    const x = entity.cx + entity.r * Math.cos(angle);
-                    const y = entity.cy + entity.r * Math.sin(angle);
-                    gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} F${feedRate}`);
-                }
+        if (raw.type === 'LWPOLYLINE') {
+            for (const pair of raw.pairs) {
+                const last = points[points.length - 1];
+                if (pair.code === 10) points.push({ x: parseFloat(pair.value), y: 0, bulge: 0 });
+                else if (pair.code === 20 && last) last.y = parseFloat(pair.value);
+                else if (pair.code === 42 && last) last.bulge = parseFloat(pair.value) || 0;
+            }
+        } else {
+            // Polyface meshes and polygon meshes have no single outline
+            if (flags & (16 | 64)) return null;
+
+            for (const vertex of raw.vertices) {
+                // Skip spline frame control points, keep the fitted vertices
+                if (this.getDxfNumber(vertex, 70, 0) & 16) continue;
+                points.push({
+                    x: this.getDxfNumber(vertex, 10, 0),
+                    y: this.getDxfNumber(vertex, 20, 0),
+                    bulge: this.getDxfNumber(vertex, 42, 0)
+                });
             }
-            gcode.push('');
         }
 
-        gcode.push('; Finish - lift pen and return to origin');
-        gcode.push(`G0 Z${safeZ}           ; Pen up`);
-        gcode.push('G0 X0 Y0');
-        gcode.push('');
-        gcode.push('M30         ; Program end');
-        gcode.push('%');
+        if (points.length < 2) return null;
+        return { type: 'POLYLINE', points, closed: (flags & 1) === 1 };
+    }
 
-        return gcode.join('\n');
+    parseDxfCircle(raw) {
+        return {
+            type: 'CIRCLE',
+            cx: this.getDxfNumber(raw, 10, 0),
+            cy: this.getDxfNumber(raw, 20, 0),
+            r: this.getDxfNumber(raw, 40, 0)
+        };
     }
 
-    saveFile() {
-        const gcodeContent = document.getElementById('gcodeInput').value;
-        let filename = document.getElementById('filenameInput').value.trim();
+    parseDxfArc(raw) {
+        return {
+            type: 'ARC',
+            cx: this.getDxfNumber(raw, 10, 0),
+            cy: this.getDxfNumber(raw, 20, 0),
+            r: this.getDxfNumber(raw, 40, 0),
+            startAngle: this.getDxfNumber(raw, 50, 0),
+            endAngle: this.getDxfNumber(raw, 51, 360)
+        };
+    }
 
-        // Ensure filename has extension
-        if (!filename) {
-            filename = 'untitled.gcode';
-        } else if (!filename.match(/\.(gcode|nc|ngc|txt)$/i)) {
-            filename += '.gcode';
+    /**
+     * ELLIPSE: center (10/20), major axis end point relative to the center
+     * (11/21), minor/major ratio (40) and start/end parameters in radians
+     * (41/42). Flattened to a polyline.
+     */
+    parseDxfEllipse(raw) {
+        const cx = this.getDxfNumber(raw, 10, 0);
+        const cy = this.getDxfNumber(raw, 20, 0);
+        let majorX = this.getDxfNumber(raw, 11, 1);
+        const majorY = this.getDxfNumber(raw, 21, 0);
+        const ratio = this.getDxfNumber(raw, 40, 1);
+        let start = this.getDxfNumber(raw, 41, 0);
+        let end = this.getDxfNumber(raw, 42, Math.PI * 2);
+
+        // Flipped extrusion: mirror in X, which also reverses the direction
+        let direction = 1;
+        if (this.getDxfNumber(raw, 230, 1) < 0) {
+            majorX = -majorX;
+            direction = -1;
         }
 
-        // Create blob and download link
-        const blob = new Blob([gcodeContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
+        let sweep = end - start;
+        if (sweep <= 1e-9) sweep += Math.PI * 2;
+        const closed = Math.abs(sweep - Math.PI * 2) < 1e-9;
 
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        const radius = Math.hypot(majorX, majorY);
+        const segments = this.getFlattenSegments(radius, sweep);
+        const points = [];
+        for (let s = 0; s <= (closed ? segments - 1 : segments); s++) {
+            const t = start + sweep * s / segments;
+            const cos = Math.cos(t);
+            const sin = Math.sin(t) * ratio * direction;
+            points.push({ x: cx + majorX * cos - majorY * sin, y: cy + majorY * cos + majorX * sin, bulge: 0 });
+        }
 
-        // Clean up
-        URL.revokeObjectURL(url);
+        return { type: 'POLYLINE', points, closed };
+    }
 
-        // Show feedback
-        this.showSaveNotification(filename);
+    /**
+     * SPLINE: NURBS from degree (71), knots (40), control points (10/20)
+     * and optional weights (41), evaluated with de Boor's algorithm and
+     * subdivided until each chord is within the flatten tolerance. Splines
+     * with only fit points (11/21) are drawn through those.
+     */
+    parseDxfSpline(raw) {
+        const degree = this.getDxfNumber(raw, 71, 3);
+        const knots = this.getDxfNumbers(raw, 40);
+        const weights = this.getDxfNumbers(raw, 41);
+        const zip = (xs, ys) => xs.map((x, k) => ({ x, y: ys[k] || 0, bulge: 0 }));
+        const control = zip(this.getDxfNumbers(raw, 10), this.getDxfNumbers(raw, 20));
+        const fit = zip(this.getDxfNumbers(raw, 11), this.getDxfNumbers(raw, 21));
+        const closed = (this.getDxfNumber(raw, 70, 0) & 1) === 1;
+
+        if (control.length < degree + 1 || knots.length !== control.length + degree + 1) {
+            const points = fit.length > 1 ? fit : control;
+            return points.length > 1 ? { type: 'POLYLINE', points, closed } : null;
+        }
+
+        const n = control.length - 1;
+        const evaluate = (t) => {
+            let k = degree;
+            while (k < n && t >= knots[k + 1]) k++;
+
+            const d = [];
+            for (let j = 0; j <= degree; j++) {
+                const p = control[k - degree + j];
+                const w = weights.length === control.length ? weights[k - degree + j] : 1;
+                d.push({ x: p.x * w, y: p.y * w, w });
+            }
+            for (let r = 1; r <= degree; r++) {
+                for (let j = degree; j >= r; j--) {
+                    const left = knots[j + k - degree];
+                    const span = knots[j + 1 + k - r] - left;
+                    const alpha = span === 0 ? 0 : (t - left) / span;
+                    d[j] = {
+                        x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                        y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                        w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                    };
+                }
+            }
+            return { x: d[degree].x / d[degree].w, y: d[degree].y / d[degree].w, bulge: 0 };
+        };
+
+        const tolerance = this.cam.tolerance;
+        const points = [];
+        const refine = (t0, p0, t1, p1, level) => {
+            const tm = (t0 + t1) / 2;
+            const pm = evaluate(tm);
+            const chord = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+            const deviation = chord === 0
+                ? Math.hypot(pm.x - p0.x, pm.y - p0.y)
+                : Math.abs((p1.x - p0.x) * (p0.y - pm.y) - (p0.x - pm.x) * (p1.y - p0.y)) / chord;
+
+            if (level < 14 && (level < 2 || deviation > tolerance)) {
+                refine(t0, p0, tm, pm, level + 1);
+                refine(tm, pm, t1, p1, level + 1);
+            } else {
+                points.push(p1);
+            }
+        };
+
+        points.push(evaluate(knots[degree]));
+        for (let s = degree; s <= n; s++) {
+            if (knots[s + 1] > knots[s]) {
+                refine(knots[s], evaluate(knots[s]), knots[s + 1], evaluate(knots[s + 1]), 0);
+            }
+        }
+
+        return { type: 'POLYLINE', points, closed };
     }
 
-    showSaveNotification(filename) {
-        const indicator = document.getElementById('statusIndicator');
-        const originalText = indicator.textContent;
-        const originalClass = indicator.className;
+    /**
+     * Segment count for flattening an arc of `radius` through `sweep`
+     * radians within the flatten tolerance.
+     */
+    getFlattenSegments(radius, sweep) {
+        const tolerance = Math.min(this.cam.tolerance, radius);
+        if (!(tolerance > 0)) return 1;
+        const maxStep = 2 * Math.acos(1 - tolerance / radius);
+        return Math.min(720, Math.max(1, Math.ceil(Math.abs(sweep) / maxStep)));
+    }
 
-        indicator.textContent = `Saved: ${filename}`;
-        indicator.className = 'status-indicator';
-        indicator.style.background = 'rgba(0, 255, 136, 0.15)';
-        indicator.style.color = '#00ff88';
-        indicator.style.borderColor = 'rgba(0, 255, 136, 0.3)';
+    /**
+     * Center, radius, start angle and signed sweep (radians) of the arc a
+     * polyline bulge describes between p1 and p2.
+     */
+    bulgeToArc(p1, p2, bulge) {
+        const sweep = 4 * Math.atan(bulge);
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const chord = Math.hypot(dx, dy);
+        const offset = chord / 2 / Math.tan(sweep / 2);
+
+        // The center sits on the chord's perpendicular bisector, left of the chord for positive bulges
+        const cx = (p1.x + p2.x) / 2 - dy / chord * offset;
+        const cy = (p1.y + p2.y) / 2 + dx / chord * offset;
+        return {
+            cx, cy,
+            r: Math.abs(chord / (2 * Math.sin(sweep / 2))),
+            start: Math.atan2(p1.y - cy, p1.x - cx),
+            sweep
+        };
+    }
 
-        setTimeout(() => {
-            indicator.textContent = originalText;
-            indicator.className = originalClass;
-            indicator.style.background = '';
-            indicator.style.color = '';
-            indicator.style.borderColor = '';
-        }, 2000);
+    /**
+     * Points after `from` along the polyline segment leaving it, flattening
+     * the bulge arc if there is one.
+     */
+    getBulgePoints(from, to) {
+        if (!from.bulge || (from.x === to.x && from.y === to.y)) return [to];
+
+        const arc = this.bulgeToArc(from, to, from.bulge);
+        const segments = this.getFlattenSegments(arc.r, arc.sweep);
+        const points = [];
+        for (let s = 1; s < segments; s++) {
+            const angle = arc.start + arc.sweep * s / segments;
+            points.push({ x: arc.cx + arc.r * Math.cos(angle), y: arc.cy + arc.r * Math.sin(angle), bulge: 0 });
+        }
+        points.push({ ...to, bulge: 0 });
+        return points;
     }
 
-    loadSampleGcode() {
-        // Load the EKOLAHA plane G-code as sample
-        const sampleGcode = `%
-(EKOLAHA RC Foam Board Plane - Vectorized Outline)
-(Dimensions: 145.0mm height x 205.0mm width)
-(Generated from image contour extraction)
-(Feed Rate: 400 mm/min)
-(Origin: Bottom-left corner)
+    flattenDxfBulges(entity) {
+        const points = [{ ...entity.points[0], bulge: 0 }];
+        const count = entity.closed ? entity.points.length : entity.points.length - 1;
+        for (let j = 0; j < count; j++) {
+            const from = entity.points[j];
+            const to = entity.points[(j + 1) % entity.points.length];
+            points.push(...this.getBulgePoints(from, to));
+        }
+        // The closing segment has been written out explicitly
+        if (entity.closed) points.pop();
+        return { ...entity, points };
+    }
 
-G21         ; Set units to millimeters
-G90         ; Absolute positioning
-G17         ; XY plane selection
+    flattenDxfArc(entity) {
+        const full = entity.type === 'CIRCLE';
+        const start = full ? 0 : entity.startAngle * Math.PI / 180;
+        let sweep = full ? Math.PI * 2 : (entity.endAngle - entity.startAngle) * Math.PI / 180;
+        if (sweep <= 0) sweep += Math.PI * 2;
 
-; Rapid move to start position
-G0 X93.564 Y145.000
+        const segments = this.getFlattenSegments(entity.r, sweep);
+        const points = [];
+        for (let s = 0; s <= (full ? segments - 1 : segments); s++) {
+            const angle = start + sweep * s / segments;
+            points.push({ x: entity.cx + entity.r * Math.cos(angle), y: entity.cy + entity.r * Math.sin(angle), bulge: 0 });
+        }
+        return { type: 'POLYLINE', points, closed: full };
+    }
 
-; Cut outline
-G1 X109.333 Y145.000 F400
-G1 X204.650 Y37.886 F400
-G1 X199.744 Y0.344 F400
-G1 X5.607 Y1.033 F400
-G1 X0.000 Y22.043 F400
-G1 X1.752 Y39.952 F400
-G1 X93.564 Y145.000 F400
+    // ===== SVG Import =====
+
+    /**
+     * Read an SVG into the same flat entities parseDxf gives, in millimeters
+     * with Y up. The viewBox is scaled to the document's width and height,
+     * group and element transforms are applied, and curves without a
+     * G-code equivalent are flattened to the chord tolerance. Inkscape
+     * layers become entity layers.
+     */
+    parseSvg(svgContent) {
+        const doc = new DOMParser().parseFromString(svgContent, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || this.getSvgTag(svg) !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a valid SVG document');
+        }
 
-; Return to origin
-G0 X0 Y0
+        const ids = new Map();
+        const index = (element) => {
+            for (const child of element.children) {
+                if (child.getAttribute('id')) ids.set(child.getAttribute('id'), child);
+                index(child);
+            }
+        };
+        index(svg);
 
-M30         ; Program end
-%`;
+        const entities = [];
+        this.collectSvgEntities(svg, this.getSvgViewport(svg), '0', entities, ids, 0);
+        return { entities, units: 'mm', layerTable: {}, source: 'SVG file' };
+    }
 
-        document.getElementById('gcodeInput').value = sampleGcode;
-        this.parseGcode();
+    getSvgTag(element) {
+        return element.nodeName.replace(/^.*:/, '');
     }
 
-    parseGcode() {
-        const gcodeText = document.getElementById('gcodeInput').value;
-        const lines = gcodeText.split('\n');
+    /**
+     * Transform from user units to millimeters: the viewBox fills the
+     * document size (centered, keeping its aspect unless
+     * preserveAspectRatio="none"), and Y is flipped so the page's bottom
+     * edge lies on Y0. Without a viewBox user units are CSS pixels.
+     */
+    getSvgViewport(svg) {
+        const px = 25.4 / 96;
+        const width = this.parseSvgLength(svg.getAttribute('width'));
+        const height = this.parseSvgLength(svg.getAttribute('height'));
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+
+        if (viewBox.length !== 4 || !viewBox.every(Number.isFinite) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+            const pageHeight = height === null ? 0 : height;
+            return { a: px, b: 0, c: 0, d: -px, e: 0, f: pageHeight };
+        }
 
-        this.commands = [];
-        let currentX = 0;
-        let currentY = 0;
-        let currentFeedRate = 0;
-        let g0Count = 0;
-        let g1Count = 0;
+        const [minX, minY, boxWidth, boxHeight] = viewBox;
+        let scaleX = width !== null ? width / boxWidth : (height !== null ? height / boxHeight : px);
+        let scaleY = height !== null ? height / boxHeight : scaleX;
+        const pageWidth = width !== null ? width : boxWidth * scaleX;
+        const pageHeight = height !== null ? height : boxHeight * scaleY;
 
-        // Reset bounding box
-        this.minX = Infinity;
-        this.maxX = -Infinity;
-        this.minY = Infinity;
-        this.maxY = -Infinity;
+        if (!/^\s*none/.test(svg.getAttribute('preserveAspectRatio') || '')) {
+            scaleX = scaleY = Math.min(scaleX, scaleY);
+        }
+        const offsetX = (pageWidth - boxWidth * scaleX) / 2;
+        const offsetY = (pageHeight - boxHeight * scaleY) / 2;
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+        return {
+            a: scaleX, b: 0, c: 0, d: -scaleY,
+            e: offsetX - minX * scaleX,
+            f: pageHeight - offsetY + minY * scaleY
+        };
+    }
+
+    /**
+     * A length attribute in millimeters, or null when missing or relative.
+     */
+    parseSvgLength(value) {
+        const match = /^\s*([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)\s*(mm|cm|in|pt|pc|px)?\s*$/i.exec(value || '');
+        if (!match) return null;
+        const perUnit = { mm: 1, cm: 10, in: 25.4, pt: 25.4 / 72, pc: 25.4 / 6, px: 25.4 / 96 };
+        return parseFloat(match[1]) * perUnit[(match[2] || 'px').toLowerCase()];
+    }
+
+    parseSvgTransform(text) {
+        let m = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            const v = match[2].trim().split(/[\s,]+/).map(parseFloat);
+            const radians = (v[0] || 0) * Math.PI / 180;
+            let step;
+            switch (match[1]) {
+                case 'matrix':
+                    step = { a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5] };
+                    break;
+                case 'translate':
+                    step = { a: 1, b: 0, c: 0, d: 1, e: v[0] || 0, f: v[1] || 0 };
+                    break;
+                case 'scale':
+                    step = { a: v[0], b: 0, c: 0, d: v.length > 1 ? v[1] : v[0], e: 0, f: 0 };
+                    break;
+                case 'rotate': {
+                    const [cx, cy] = [v[1] || 0, v[2] || 0];
+                    const cos = Math.cos(radians);
+                    const sin = Math.sin(radians);
+                    step = { a: cos, b: sin, c: -sin, d: cos, e: cx - cos * cx + sin * cy, f: cy - sin * cx - cos * cy };
+                    break;
+                }
+                case 'skewX':
+                    step = { a: 1, b: 0, c: Math.tan(radians), d: 1, e: 0, f: 0 };
+                    break;
+                default:
+                    step = { a: 1, b: Math.tan(radians), c: 0, d: 1, e: 0, f: 0 };
+            }
+            m = this.multiplyTransforms(m, step);
+        }
+        return m;
+    }
+
+    /**
+     * Walk an element's children, collecting the shapes they draw. Hidden
+     * elements and definitions (only drawn through <use>) are skipped.
+     */
+    collectSvgEntities(element, transform, layer, entities, ids, depth) {
+        const skipped = ['defs', 'symbol', 'clipPath', 'mask', 'pattern', 'marker', 'metadata', 'title', 'desc', 'style', 'script', 'text'];
+
+        for (const child of element.children) {
+            const tag = this.getSvgTag(child);
+            const style = child.getAttribute('style') || '';
+            if (skipped.includes(tag) || child.getAttribute('display') === 'none' || /display\s*:\s*none/.test(style)) continue;
+
+            const m = this.multiplyTransforms(transform, this.parseSvgTransform(child.getAttribute('transform')));
+            if (tag === 'g' || tag === 'a' || tag === 'switch' || tag === 'svg') {
+                const isLayer = child.getAttribute('inkscape:groupmode') === 'layer';
+                const name = isLayer ? child.getAttribute('inkscape:label') || child.getAttribute('id') || layer : layer;
+                this.collectSvgEntities(child, m, name, entities, ids, depth);
+            } else if (tag === 'use') {
+                // Guard against references that (indirectly) use themselves
+                const target = ids.get((child.getAttribute('href') || child.getAttribute('xlink:href') || '').replace(/^#/, ''));
+                if (!target || depth > 16) continue;
+                const offset = {
+                    a: 1, b: 0, c: 0, d: 1,
+                    e: parseFloat(child.getAttribute('x')) || 0,
+                    f: parseFloat(child.getAttribute('y')) || 0
+                };
+                const content = this.getSvgTag(target) === 'symbol' ? target : { children: [target] };
+                this.collectSvgEntities(content, this.multiplyTransforms(m, offset), layer, entities, ids, depth + 1);
+            } else {
+                const scale = Math.sqrt(Math.abs(m.a * m.d - m.b * m.c)) || 1;
+                for (const shape of this.getSvgShapes(child, tag, scale)) {
+                    entities.push({ ...this.transformDxfEntity(shape, m), layer });
+                }
+            }
+        }
+    }
+
+    /**
+     * Entities for one shape element in its own user units. `scale` is the
+     * size of a user unit in millimeters, so flattening meets the chord
+     * tolerance after the transform.
+     */
+    getSvgShapes(element, tag, scale) {
+        const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+        const polyline = (points, closed) => ({ type: 'POLYLINE', points: points.map(p => ({ x: p.x, y: p.y, bulge: p.bulge || 0 })), closed });
+
+        if (tag === 'line') {
+            return [{ type: 'LINE', x1: number('x1'), y1: number('y1'), x2: number('x2'), y2: number('y2') }];
+        }
+        if (tag === 'circle') {
+            return number('r') > 0 ? [{ type: 'CIRCLE', cx: number('cx'), cy: number('cy'), r: number('r') }] : [];
+        }
+        if (tag === 'ellipse') {
+            const [rx, ry] = [number('rx'), number('ry')];
+            if (!(rx > 0 && ry > 0)) return [];
+            if (Math.abs(rx - ry) < 1e-9) return [{ type: 'CIRCLE', cx: number('cx'), cy: number('cy'), r: rx }];
+            return [polyline(this.getSvgEllipsePoints(number('cx'), number('cy'), rx, ry, 0, 0, 2 * Math.PI, scale).slice(0, -1), true)];
+        }
+        if (tag === 'rect') {
+            return this.getSvgRect(element, scale);
+        }
+        if (tag === 'polyline' || tag === 'polygon') {
+            const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat).filter(Number.isFinite);
+            const points = [];
+            for (let i = 0; i + 1 < values.length; i += 2) points.push({ x: values[i], y: values[i + 1] });
+            return points.length > 1 ? [polyline(points, tag === 'polygon')] : [];
+        }
+        if (tag === 'path') {
+            return this.parseSvgPath(element.getAttribute('d') || '', scale)
+                .filter(subpath => subpath.points.length > 1)
+                .map(subpath => polyline(subpath.points, subpath.closed));
+        }
+        return [];
+    }
+
+    /**
+     * A rectangle, with round corners as bulges or elliptical ones
+     * flattened.
+     */
+    getSvgRect(element, scale) {
+        const number = (name) => parseFloat(element.getAttribute(name)) || 0;
+        const [x, y, width, height] = [number('x'), number('y'), number('width'), number('height')];
+        if (!(width > 0 && height > 0)) return [];
+
+        // A missing corner radius takes the other one
+        let rx = element.getAttribute('rx') !== null ? number('rx') : number('ry');
+        let ry = element.getAttribute('ry') !== null ? number('ry') : rx;
+        rx = Math.min(Math.max(0, rx), width / 2);
+        ry = Math.min(Math.max(0, ry), height / 2);
+
+        if (rx === 0 || ry === 0) {
+            const points = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+            return [{ type: 'POLYLINE', points: points.map(p => ({ ...p, bulge: 0 })), closed: true }];
+        }
+
+        // Corners in drawing order, each as [center, start angle] of its quarter turn
+        const corners = [
+            [{ x: x + width - rx, y: y + ry }, -Math.PI / 2],
+            [{ x: x + width - rx, y: y + height - ry }, 0],
+            [{ x: x + rx, y: y + height - ry }, Math.PI / 2],
+            [{ x: x + rx, y: y + ry }, Math.PI]
+        ];
+        const points = [];
+        for (const [center, start] of corners) {
+            if (Math.abs(rx - ry) < 1e-9) {
+                const bulge = Math.tan(Math.PI / 8);
+                points.push({ x: center.x + rx * Math.cos(start), y: center.y + ry * Math.sin(start), bulge });
+                points.push({ x: center.x + rx * Math.cos(start + Math.PI / 2), y: center.y + ry * Math.sin(start + Math.PI / 2), bulge: 0 });
+            } else {
+                points.push(...this.getSvgEllipsePoints(center.x, center.y, rx, ry, 0, start, Math.PI / 2, scale).map(p => ({ ...p, bulge: 0 })));
+            }
+        }
+        return [{ type: 'POLYLINE', points, closed: true }];
+    }
+
+    /**
+     * Points along an ellipse rotated by `rotation`, from angle `start`
+     * through `sweep`, both ends included.
+     */
+    getSvgEllipsePoints(cx, cy, rx, ry, rotation, start, sweep, scale) {
+        const segments = this.getFlattenSegments(Math.max(rx, ry) * scale, sweep);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const points = [];
+        for (let s = 0; s <= segments; s++) {
+            const angle = start + sweep * s / segments;
+            const ex = rx * Math.cos(angle);
+            const ey = ry * Math.sin(angle);
+            points.push({ x: cx + ex * cos - ey * sin, y: cy + ex * sin + ey * cos });
+        }
+        return points;
+    }
+
+    /**
+     * Path data as subpaths of points. Circular arcs become bulges on the
+     * point they leave from; Béziers and elliptical arcs are flattened.
+     */
+    parseSvgPath(d, scale) {
+        const tolerance = this.cam.tolerance / scale;
+        const number = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+        let index = 0;
+
+        const skip = () => {
+            while (index < d.length && /[\s,]/.test(d[index])) index++;
+        };
+        const readNumber = () => {
+            skip();
+            number.lastIndex = index;
+            const match = number.exec(d);
+            if (!match) throw new Error(`Bad path data near "${d.slice(index, index + 12)}"`);
+            index = number.lastIndex;
+            return parseFloat(match[0]);
+        };
+        // Arc flags may be written without separators ("a5 5 0 015 5")
+        const readFlag = () => {
+            skip();
+            const flag = d[index++];
+            if (flag !== '0' && flag !== '1') throw new Error(`Bad arc flag near "${d.slice(index - 1, index + 11)}"`);
+            return flag === '1';
+        };
+
+        const subpaths = [];
+        let points = null;
+        let current = { x: 0, y: 0 };
+        let start = current;
+        let control = null;       // Last Bézier control point, for S and T
+        let previous = '';
+
+        const add = (point) => {
+            const last = points[points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) > 1e-12) points.push({ x: point.x, y: point.y, bulge: 0 });
+            current = point;
+        };
+        const bezier = (p0, p1, p2, p3) => {
+            // Uniform steps with the chord error bounded by the second differences
+            const cubic = p3 !== undefined;
+            const dd = cubic
+                ? Math.max(Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y), Math.hypot(p1.x - 2 * p2.x + p3.x, p1.y - 2 * p2.y + p3.y))
+                : Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y);
+            const steps = Math.min(500, Math.max(1, Math.ceil(Math.sqrt((cubic ? 0.75 : 0.25) * dd / tolerance))));
+            for (let s = 1; s <= steps; s++) {
+                const t = s / steps;
+                const u = 1 - t;
+                add(cubic
+                    ? {
+                        x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+                        y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+                    }
+                    : {
+                        x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+                        y: u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y
+                    });
+            }
+        };
+
+        while (skip(), index < d.length) {
+            let command = d[index];
+            if (/[a-zA-Z]/.test(command)) {
+                index++;
+            } else if (previous && previous.toUpperCase() !== 'Z') {
+                // Repeated parameters repeat the command; after a move they are lines
+                command = previous === 'M' ? 'L' : previous === 'm' ? 'l' : previous;
+            } else {
+                throw new Error(`Bad path data near "${d.slice(index, index + 12)}"`);
+            }
+            if (!points && command.toUpperCase() !== 'M') throw new Error('Path data must start with a move');
+
+            const relative = command === command.toLowerCase() && command !== 'z' ? current : { x: 0, y: 0 };
+            const point = () => {
+                const x = readNumber();
+                return { x: relative.x + x, y: relative.y + readNumber() };
+            };
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    current = point();
+                    start = current;
+                    points = [{ x: current.x, y: current.y, bulge: 0 }];
+                    subpaths.push({ points, closed: false });
+                    control = null;
+                    break;
+                case 'L':
+                    add(point());
+                    control = null;
+                    break;
+                case 'H':
+                    add({ x: relative.x + readNumber(), y: current.y });
+                    control = null;
+                    break;
+                case 'V':
+                    add({ x: current.x, y: relative.y + readNumber() });
+                    control = null;
+                    break;
+                case 'C': {
+                    const p0 = current;
+                    const p1 = point();
+                    const p2 = point();
+                    const p3 = point();
+                    bezier(p0, p1, p2, p3);
+                    control = { type: 'C', point: p2 };
+                    break;
+                }
+                case 'S': {
+                    const p0 = current;
+                    const p1 = control && control.type === 'C' ? { x: 2 * p0.x - control.point.x, y: 2 * p0.y - control.point.y } : p0;
+                    const p2 = point();
+                    const p3 = point();
+                    bezier(p0, p1, p2, p3);
+                    control = { type: 'C', point: p2 };
+                    break;
+                }
+                case 'Q': {
+                    const p0 = current;
+                    const p1 = point();
+                    bezier(p0, p1, point());
+                    control = { type: 'Q', point: p1 };
+                    break;
+                }
+                case 'T': {
+                    const p0 = current;
+                    const p1 = control && control.type === 'Q' ? { x: 2 * p0.x - control.point.x, y: 2 * p0.y - control.point.y } : p0;
+                    bezier(p0, p1, point());
+                    control = { type: 'Q', point: p1 };
+                    break;
+                }
+                case 'A': {
+                    const rx = Math.abs(readNumber());
+                    const ry = Math.abs(readNumber());
+                    const rotation = readNumber() * Math.PI / 180;
+                    const largeArc = readFlag();
+                    const sweepPositive = readFlag();
+                    this.addSvgArc(points, current, point(), rx, ry, rotation, largeArc, sweepPositive, scale);
+                    current = { x: points[points.length - 1].x, y: points[points.length - 1].y };
+                    control = null;
+                    break;
+                }
+                case 'Z': {
+                    const subpath = subpaths[subpaths.length - 1];
+                    const last = points[points.length - 1];
+                    if (points.length > 1 && Math.hypot(last.x - start.x, last.y - start.y) < 1e-9) points.pop();
+                    subpath.closed = true;
+
+                    // Drawing on without a move starts a new subpath from the same point
+                    current = start;
+                    points = [{ x: start.x, y: start.y, bulge: 0 }];
+                    subpaths.push({ points, closed: false });
+                    control = null;
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported path command "${command}"`);
+            }
+            previous = command;
+        }
+
+        return subpaths;
+    }
+
+    /**
+     * An arc from `from` to `to` (SVG endpoint form). Circular arcs go on
+     * as a bulge on the point they leave from; elliptical ones are
+     * flattened. Radii too small to reach are scaled up, as SVG requires.
+     */
+    addSvgArc(points, from, to, rx, ry, rotation, largeArc, sweepPositive, scale) {
+        const last = points[points.length - 1];
+        if (Math.hypot(to.x - from.x, to.y - from.y) < 1e-12) return;
+        if (rx === 0 || ry === 0) {
+            points.push({ x: to.x, y: to.y, bulge: 0 });
+            return;
+        }
+
+        // Endpoint to center parameterization (SVG implementation notes F.6.5)
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const dx = (from.x - to.x) / 2;
+        const dy = (from.y - to.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        if (Math.abs(rx - ry) < 1e-9 * Math.max(rx, ry)) {
+            const chord = Math.hypot(to.x - from.x, to.y - from.y);
+            let sweep = 2 * Math.asin(Math.min(1, chord / (2 * rx)));
+            if (largeArc) sweep = 2 * Math.PI - sweep;
+            last.bulge = Math.tan(sweep / 4) * (sweepPositive ? 1 : -1);
+            points.push({ x: to.x, y: to.y, bulge: 0 });
+            return;
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const factor = (largeArc === sweepPositive ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cx1 = factor * rx * y1 / ry;
+        const cy1 = -factor * ry * x1 / rx;
+        const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+        const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+        const angle = (ux, uy) => Math.atan2(uy, ux);
+        const start = angle((x1 - cx1) / rx, (y1 - cy1) / ry);
+        let sweep = angle((-x1 - cx1) / rx, (-y1 - cy1) / ry) - start;
+        if (sweepPositive && sweep < 0) sweep += 2 * Math.PI;
+        if (!sweepPositive && sweep > 0) sweep -= 2 * Math.PI;
+
+        for (const point of this.getSvgEllipsePoints(cx, cy, rx, ry, rotation, start, sweep, scale).slice(1, -1)) {
+            points.push({ ...point, bulge: 0 });
+        }
+        points.push({ x: to.x, y: to.y, bulge: 0 });
+    }
+
+    // ===== Image Tracing =====
+
+    loadImageFile(event) {
+        this.readImageFile(event, (image) => {
+            this.traceImage = this.getImageLuminance(image);
+            this.showTraceDialog();
+        });
+    }
+
+    /**
+     * Decode a picked PNG or JPEG and hand the loaded image to `onLoad`.
+     */
+    readImageFile(event, onLoad) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const baseName = file.name.replace(/\.(png|jpe?g)$/i, '');
+        document.getElementById('filenameInput').value = baseName + '.gcode';
+
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            onLoad(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Error loading image file: not a readable PNG or JPEG');
+        };
+        image.src = url;
+    }
+
+    /**
+     * Gray levels (0 black - 255 white) of an image flattened onto white,
+     * resampled to `width` × `height` pixels; by default scaled down so its
+     * longer side is at most 1000 pixels.
+     */
+    getImageLuminance(image, width = null, height = null) {
+        if (width === null) {
+            const scale = Math.min(1, 1000 / Math.max(image.width, image.height));
+            width = Math.max(1, Math.round(image.width * scale));
+            height = Math.max(1, Math.round(image.height * scale));
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(image, 0, 0, width, height);
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const data = new Uint8Array(width * height);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.round(0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+        }
+        return { width, height, data };
+    }
+
+    showTraceDialog() {
+        const trace = this.trace;
+        document.getElementById('traceThresholdInput').value = trace.threshold;
+        document.getElementById('traceInvertCheck').checked = trace.invert;
+        document.getElementById('traceWidthInput').value = trace.width;
+        document.getElementById('traceSimplifyInput').value = trace.simplify;
+        document.getElementById('traceOverlay').style.display = 'block';
+        document.getElementById('traceDialog').style.display = 'block';
+        this.updateTracePreview();
+    }
+
+    hideTraceDialog() {
+        document.getElementById('traceOverlay').style.display = 'none';
+        document.getElementById('traceDialog').style.display = 'none';
+    }
+
+    /**
+     * The dialog's settings, or null (after telling the user) when one is
+     * out of range.
+     */
+    readTraceSettings() {
+        const threshold = parseInt(document.getElementById('traceThresholdInput').value, 10);
+        const width = parseFloat(document.getElementById('traceWidthInput').value);
+        const simplify = parseFloat(document.getElementById('traceSimplifyInput').value);
+        if (!(width > 0)) {
+            alert('Please enter a valid output width.');
+            return null;
+        }
+        if (!(simplify >= 0)) {
+            alert('Please enter a valid simplify tolerance.');
+            return null;
+        }
+        return { threshold, invert: document.getElementById('traceInvertCheck').checked, width, simplify };
+    }
+
+    /**
+     * Show the thresholded image with the contours that would be cut.
+     */
+    updateTracePreview() {
+        const image = this.traceImage;
+        const threshold = parseInt(document.getElementById('traceThresholdInput').value, 10);
+        const invert = document.getElementById('traceInvertCheck').checked;
+        const width = parseFloat(document.getElementById('traceWidthInput').value);
+        const simplify = parseFloat(document.getElementById('traceSimplifyInput').value);
+        document.getElementById('traceThresholdValue').textContent = threshold;
+
+        const canvas = document.getElementById('tracePreview');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        const ctx = canvas.getContext('2d');
+        const pixels = ctx.createImageData(image.width, image.height);
+        const mask = this.getThresholdMask(image, threshold, invert);
+        for (let i = 0; i < mask.length; i++) {
+            const level = mask[i] ? 60 : 235;
+            pixels.data.set([level, level, level, 255], i * 4);
+        }
+        ctx.putImageData(pixels, 0, 0);
+
+        // Tolerances are in millimeters; the preview works in pixels
+        const pixelSize = width > 0 ? width / image.width : 1;
+        const contours = this.traceContours(image, threshold, invert, simplify >= 0 ? simplify / pixelSize : 0);
+        ctx.strokeStyle = this.colors.linear;
+        ctx.lineWidth = Math.max(1, image.width / 300);
+        ctx.beginPath();
+        for (const contour of contours) {
+            contour.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+        }
+        ctx.stroke();
+
+        const points = contours.reduce((sum, contour) => sum + contour.length, 0);
+        const height = width > 0 ? (image.height * pixelSize).toFixed(1) : '?';
+        document.getElementById('traceInfo').textContent =
+            `${image.width}×${image.height} px → ${width > 0 ? width : '?'}×${height} mm, ${contours.length} contours, ${points} points`;
+    }
+
+    /**
+     * Remember the dialog's settings and convert the traced contours with
+     * the DXF/SVG conversion settings.
+     */
+    applyTraceSettings() {
+        const settings = this.readTraceSettings();
+        if (!settings) return;
+
+        Object.assign(this.trace, settings);
+        localStorage.setItem('gcodeSimulator.traceSettings', JSON.stringify(this.trace));
+
+        const drawing = this.imageToDrawing(this.traceImage, this.trace);
+        if (drawing.entities.length === 0) {
+            alert('No contours found at this threshold.');
+            return;
+        }
+        this.hideTraceDialog();
+        this.applyDxfGcode(drawing, null);
+    }
+
+    /**
+     * Closed POLYLINE entities around the dark (or, inverted, light) areas of
+     * an image, `width` millimeters wide with Y up and the bottom-left corner
+     * of the image at the origin.
+     */
+    imageToDrawing(image, { threshold, invert, width, simplify }) {
+        const pixelSize = width / image.width;
+        const contours = this.traceContours(image, threshold, invert, simplify / pixelSize);
+        const entities = contours.map(contour => ({
+            type: 'POLYLINE',
+            layer: '0',
+            closed: true,
+            points: contour.map(p => ({ x: p.x * pixelSize, y: (image.height - p.y) * pixelSize, bulge: 0 }))
+        }));
+        return { entities, units: 'mm', layerTable: {}, source: 'image contour extraction' };
+    }
+
+    /**
+     * 1 for pixels darker than the threshold (lighter when inverted).
+     */
+    getThresholdMask(image, threshold, invert) {
+        const mask = new Uint8Array(image.width * image.height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] = (image.data[i] < threshold) !== invert ? 1 : 0;
+        }
+        return mask;
+    }
+
+    /**
+     * Outer and inner contours of the thresholded image by marching squares
+     * over the pixel centers, in pixel coordinates (Y down). Every contour
+     * keeps the filled side on the same hand, so outlines and holes wind in
+     * opposite directions. Contours are simplified to `tolerance` pixels and
+     * specks under two square pixels are dropped.
+     */
+    traceContours(image, threshold, invert, tolerance) {
+        const { width, height } = image;
+        const mask = this.getThresholdMask(image, threshold, invert);
+        const filled = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+
+        // Crossings sit on cell edge midpoints; doubled they are integers
+        const stride = 2 * width + 4;
+        const key = (x, y) => (y * 2 + 2) * stride + x * 2 + 2;
+
+        // Corners clockwise from top-left, edge k running from corner k to k + 1
+        const corners = [[0, 0], [1, 0], [1, 1], [0, 1]];
+        const edges = [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]];
+        const segments = new Map();
+        for (let y = -1; y < height; y++) {
+            for (let x = -1; x < width; x++) {
+                const inside = corners.map(([dx, dy]) => filled(x + dx, y + dy));
+                if (inside.every(v => v) || inside.every(v => !v)) continue;
+
+                // Each run of filled corners is cut off from entry edge to exit edge
+                for (let k = 0; k < 4; k++) {
+                    if (inside[k] || !inside[(k + 1) % 4]) continue;
+                    let exit = (k + 1) % 4;
+                    while (inside[(exit + 1) % 4]) exit = (exit + 1) % 4;
+                    const from = { x: x + edges[k][0], y: y + edges[k][1] };
+                    const to = { x: x + edges[exit][0], y: y + edges[exit][1] };
+                    segments.set(key(from.x, from.y), { from, to });
+                }
+            }
+        }
+
+        const contours = [];
+        for (const [startKey, first] of segments) {
+            if (first.used) continue;
+            const loop = [];
+            let segment = first;
+            while (segment && !segment.used) {
+                segment.used = true;
+                loop.push(segment.from);
+                segment = segments.get(key(segment.to.x, segment.to.y));
+            }
+            if (segment !== first || Math.abs(this.getPolygonArea(loop)) < 2) continue;
+            contours.push(this.simplifyClosedPath(loop, tolerance));
+        }
+        return contours.filter(contour => contour.length >= 3);
+    }
+
+    /**
+     * Douglas-Peucker on a closed loop: split at the two points furthest
+     * apart and simplify each half, keeping every point further than
+     * `tolerance` from the chords.
+     */
+    simplifyClosedPath(points, tolerance) {
+        if (points.length < 4 || tolerance <= 0) return points;
+
+        let far = 0;
+        let farDistance = -1;
+        for (let i = 1; i < points.length; i++) {
+            const d = Math.hypot(points[i].x - points[0].x, points[i].y - points[0].y);
+            if (d > farDistance) {
+                far = i;
+                farDistance = d;
+            }
+        }
+
+        const keep = new Uint8Array(points.length + 1);
+        keep[0] = keep[far] = keep[points.length] = 1;
+        const at = (i) => points[i % points.length];
+        const stack = [[0, far], [far, points.length]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            const a = at(first);
+            const b = at(last);
+            const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            let index = -1;
+            let max = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const p = at(i);
+                const d = Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / length;
+                if (d > max) {
+                    index = i;
+                    max = d;
+                }
+            }
+            if (index >= 0) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        return points.filter((p, i) => keep[i]);
+    }
+
+    // ===== Laser Raster =====
+
+    showRasterDialog() {
+        for (const [id, key] of this.getRasterFields()) {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') input.checked = this.raster[key];
+            else input.value = this.raster[key];
+        }
+        document.getElementById('rasterOverlay').style.display = 'block';
+        document.getElementById('rasterDialog').style.display = 'block';
+    }
+
+    hideRasterDialog() {
+        document.getElementById('rasterOverlay').style.display = 'none';
+        document.getElementById('rasterDialog').style.display = 'none';
+    }
+
+    /**
+     * Dialog inputs: [element id, setting, label, check], as getCamFields.
+     */
+    getRasterFields() {
+        return [
+            ['rasterWidthInput', 'width', 'Width', value => value > 0],
+            ['rasterDpiInput', 'dpi', 'Resolution', value => value > 0 && value <= 1200],
+            ['rasterFeedInput', 'feed', 'Feed', value => value > 0],
+            ['rasterMinPowerInput', 'minPower', 'Minimum power', value => value >= 0],
+            ['rasterMaxPowerInput', 'maxPower', 'Maximum power', value => value > 0],
+            ['rasterOverscanInput', 'overscan', 'Overscan', value => value >= 0],
+            ['rasterDynamicCheck', 'dynamic'],
+            ['rasterInvertCheck', 'invert']
+        ];
+    }
+
+    /**
+     * Validate and remember the dialog's settings, then pick the image.
+     */
+    applyRasterSettings() {
+        const settings = {};
+        for (const [id, key, label, check] of this.getRasterFields()) {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') {
+                settings[key] = input.checked;
+                continue;
+            }
+            const value = parseFloat(input.value);
+            if (!check(value)) {
+                alert(`Please enter a valid ${label.toLowerCase()}.`);
+                input.focus();
+                return;
+            }
+            settings[key] = value;
+        }
+        if (settings.minPower > settings.maxPower) {
+            alert('The minimum power must not exceed the maximum power.');
+            return;
+        }
+
+        Object.assign(this.raster, settings);
+        localStorage.setItem('gcodeSimulator.rasterSettings', JSON.stringify(this.raster));
+        this.hideRasterDialog();
+
+        const fileInput = document.getElementById('rasterFileInput');
+        fileInput.value = '';
+        fileInput.click();
+    }
+
+    loadRasterFile(event) {
+        this.readImageFile(event, (image) => {
+            // One pixel per scan step: the image is resampled to the DPI
+            const columns = Math.max(1, Math.round(this.raster.width / 25.4 * this.raster.dpi));
+            const rows = Math.max(1, Math.round(columns * image.height / image.width));
+            const gray = this.getImageLuminance(image, columns, rows);
+
+            this.loadProgram(this.generateRasterGcode(gray, this.raster));
+            this.showSaveNotification('Raster engraving generated!');
+        });
+    }
+
+    /**
+     * Scanline engraving of a grayscale image: bidirectional G1 rows from
+     * the bottom up, one S power per run of equal pixels, scaled from
+     * `minPower` (lightest) to `maxPower` (black); white is S0. Each row
+     * runs on at S0 for `overscan` mm on both sides so the head is at
+     * speed while burning, and blank rows are skipped. The image's
+     * bottom-left corner sits at X = overscan, Y0 so the run-on stays on
+     * the bed.
+     */
+    generateRasterGcode(image, { width, dpi, feed, minPower, maxPower, overscan, dynamic, invert }) {
+        const pixel = width / image.width;
+        const format = (value) => this.formatCoordinate(value);
+        const laserOn = dynamic ? 'M4' : 'M3';
+
+        const gcode = [
+            '%',
+            '(Generated from laser raster engraving)',
+            `(Image: ${image.width}×${image.height} px at ${dpi} DPI, ${format(width)}×${format(image.height * pixel)} mm)`,
+            `(Image origin: X${overscan} Y0)`,
+            `(Power: S${minPower}-S${maxPower}, Feed: ${feed} mm/min, Overscan: ${overscan}mm, ` +
+                `${dynamic ? 'M4 dynamic' : 'M3 constant'} laser power)`,
+            '',
+            'G21         ; Millimeters',
+            'G90         ; Absolute positioning',
+            'G17         ; XY plane',
+            `${laserOn} S0       ; Laser on at zero power`,
+            ''
+        ];
+
+        let feedSet = false;
+        let rowCount = 0;
+        for (let row = image.height - 1; row >= 0; row--) {
+            const powers = [];
+            for (let column = 0; column < image.width; column++) {
+                const level = image.data[row * image.width + column] / 255;
+                const darkness = invert ? level : 1 - level;
+                powers.push(darkness > 0 ? Math.round(minPower + darkness * (maxPower - minPower)) : 0);
+            }
+            const first = powers.findIndex(power => power > 0);
+            if (first < 0) continue;
+            let last = powers.length - 1;
+            while (powers[last] === 0) last--;
+
+            // Alternate rows run right to left
+            const forward = rowCount % 2 === 0;
+            const sign = forward ? 1 : -1;
+            const from = forward ? first * pixel : (last + 1) * pixel;
+            const y = format((image.height - 1 - row + 0.5) * pixel);
+            const cut = (x, power) => {
+                gcode.push(`G1 X${format(overscan + x)} S${power}${feedSet ? '' : ` F${feed}`}`);
+                feedSet = true;
+            };
+
+            gcode.push(`G0 X${format(overscan + from - sign * overscan)} Y${y}`);
+            if (overscan > 0) cut(from, 0);
+            let k = forward ? first : last;
+            const end = forward ? last : first;
+            while (true) {
+                let runEnd = k;
+                while (runEnd !== end && powers[runEnd + sign] === powers[k]) runEnd += sign;
+                cut((forward ? runEnd + 1 : runEnd) * pixel, powers[k]);
+                if (runEnd === end) break;
+                k = runEnd + sign;
+            }
+            cut((forward ? last + 1 : first) * pixel + sign * overscan, 0);
+            rowCount++;
+        }
+
+        gcode.push('');
+        gcode.push('M5          ; Laser off');
+        gcode.push('G0 X0 Y0');
+        gcode.push('');
+        gcode.push('M30         ; Program end');
+        gcode.push('%');
+        return gcode.join('\n');
+    }
+
+    // ===== Text Engraving =====
+
+    showTextDialog() {
+        for (const [id, key] of this.getTextFields()) {
+            document.getElementById(id).value = this.textTool[key];
+        }
+        document.getElementById('textOverlay').style.display = 'block';
+        document.getElementById('textDialog').style.display = 'block';
+        document.getElementById('textValueInput').focus();
+    }
+
+    hideTextDialog() {
+        document.getElementById('textOverlay').style.display = 'none';
+        document.getElementById('textDialog').style.display = 'none';
+    }
+
+    /**
+     * Dialog inputs: [element id, setting, label, check], as getCamFields.
+     */
+    getTextFields() {
+        return [
+            ['textValueInput', 'text', 'Text', value => value.length > 0],
+            ['textHeightInput', 'height', 'Height', value => value > 0],
+            ['textSpacingInput', 'spacing', 'Letter spacing', value => value >= 0],
+            ['textXInput', 'x', 'X position', value => Number.isFinite(value)],
+            ['textYInput', 'y', 'Y position', value => Number.isFinite(value)],
+            ['textRotationInput', 'rotation', 'Rotation', value => Number.isFinite(value)],
+            ['textArcInput', 'arcRadius', 'Baseline arc radius', value => Number.isFinite(value)],
+            ['textDepthInput', 'depth', 'Depth', value => value >= 0]
+        ];
+    }
+
+    /**
+     * Validate and remember the dialog's settings, then add the engraving
+     * to the current program or replace it.
+     */
+    applyTextTool(append) {
+        const settings = {};
+        for (const [id, key, label, check] of this.getTextFields()) {
+            const input = document.getElementById(id);
+            const value = key === 'text' ? input.value.trim() : parseFloat(input.value);
+            if (!check(value)) {
+                alert(`Please enter a valid ${label.toLowerCase()}.`);
+                input.focus();
+                return;
+            }
+            settings[key] = value;
+        }
+
+        Object.assign(this.textTool, settings);
+        localStorage.setItem('gcodeSimulator.textSettings', JSON.stringify(this.textTool));
+        this.hideTextDialog();
+
+        const gcode = this.generateTextGcode(this.textTool);
+        if (append) {
+            this.appendGcode(gcode);
+        } else {
+            this.loadProgram(gcode);
+        }
+        this.showSaveNotification(`Text ${append ? 'appended' : 'generated'}!`);
+    }
+
+    /**
+     * Add a program after the current one. The current program's end
+     * (M2/M30 and a closing %) is dropped so the machine runs straight on.
+     */
+    appendGcode(gcode) {
+        const lines = document.getElementById('gcodeInput').value.split('\n');
+        while (lines.length > 0 && /^\s*(%|M0*(2|30)(?!\d).*)?\s*$/i.test(lines[lines.length - 1])) lines.pop();
+
+        const added = gcode.trim().split('\n');
+        if (lines.length > 0 && added[0] === '%') added.shift();
+        this.loadProgram((lines.length > 0 ? [...lines, '', ...added] : added).join('\n'), false);
+    }
+
+    /**
+     * Engraving program for a text, cut at `depth` with the feeds, safe Z
+     * and tool codes of the DXF/SVG conversion settings.
+     */
+    generateTextGcode(settings) {
+        const { text, height, spacing, rotation, arcRadius, depth } = settings;
+        const { safeZ, plungeFeed, feed, toolOn, toolOff, toolPerPath } = this.cam;
+        const format = (value) => this.formatCoordinate(value);
+        const cutZ = +(-depth).toFixed(3);
+
+        const gcode = [
+            '%',
+            '(Generated from text engraving)',
+            `(Text: ${text.replace(/[()"]/g, '')}, Height: ${height}mm, Spacing: ${spacing}mm, Rotation: ${rotation}°` +
+                `${arcRadius ? `, Baseline arc: R${arcRadius}mm` : ''})`,
+            `(Safe Z: ${safeZ}mm, Plunge Feed: ${plungeFeed} mm/min)`,
+            `(Cut Z: ${cutZ}mm, Feed Rate: ${feed} mm/min)`,
+            '',
+            'G21         ; Millimeters',
+            'G90         ; Absolute positioning',
+            'G17         ; XY plane',
+            '',
+            '; Initialize - lift pen',
+            `G0 Z${safeZ}`,
+            ...(toolOn && !toolPerPath ? [`${toolOn}         ; Tool on`] : []),
+            ''
+        ];
+
+        for (const points of layoutText(settings)) {
+            gcode.push(`G0 X${format(points[0].x)} Y${format(points[0].y)}`);
+            gcode.push(`G1 Z${cutZ} F${plungeFeed}   ; Pen down`);
+            if (toolPerPath && toolOn) gcode.push(`${toolOn}         ; Tool on`);
+            for (const point of points.slice(1)) {
+                gcode.push(`G1 X${format(point.x)} Y${format(point.y)} F${feed}`);
+            }
+            if (toolPerPath && toolOff) gcode.push(`${toolOff}         ; Tool off`);
+            gcode.push(`G0 Z${safeZ}           ; Pen up`);
+            gcode.push('');
+        }
+
+        gcode.push('; Finish - return to origin');
+        if (toolOff && !toolPerPath) gcode.push(`${toolOff}         ; Tool off`);
+        gcode.push('G0 X0 Y0');
+        gcode.push('');
+        gcode.push('M30         ; Program end');
+        gcode.push('%');
+        return gcode.join('\n');
+    }
+
+    /**
+     * Text settings from a chat request such as
+     * "engrave 'PART 12' at 10,10 height 5 rotate 90 arc 40", starting from
+     * the last used ones; null when the message is not a text request.
+     */
+    parseTextCommand(message) {
+        const request = parseTextRequest(message);
+        if (!request) return null;
+
+        const settings = { ...this.textTool, ...request };
+        return settings.height > 0 ? settings : null;
+    }
+
+    // ===== Toolpath Optimizer =====
+
+    /**
+     * Order paths to cut down rapid travel. Paths whose ends touch are
+     * joined into chains first, then the chains are toured nearest-neighbour
+     * from `origin` and the tour is improved with 2-opt. Paths are
+     * {start, end, reversible}; the result is a list of chains, each a list
+     * of {path, reversed}.
+     */
+    optimizePathOrder(paths, origin) {
+        const key = (p) => `${p.x.toFixed(3)},${p.y.toFixed(3)},${(p.z || 0).toFixed(3)}`;
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const headOf = (entry) => entry.reversed ? entry.path.end : entry.path.start;
+        const tailOf = (entry) => entry.reversed ? entry.path.start : entry.path.end;
+
+        // Index path ends so touching paths are found without a full scan
+        const byEnd = new Map();
+        const index = (p, path) => {
+            if (!byEnd.has(key(p))) byEnd.set(key(p), []);
+            byEnd.get(key(p)).push(path);
+        };
+        const joinable = paths.filter(path => path.joinable !== false);
+        for (const path of joinable) {
+            index(path.start, path);
+            index(path.end, path);
+        }
+
+        const used = new Set();
+        const findTouching = (point) => (byEnd.get(key(point)) || []).find(path => !used.has(path));
+
+        const chains = [];
+        for (const path of paths) {
+            if (used.has(path)) continue;
+            used.add(path);
+            const chain = [{ path, reversed: false }];
+
+            if (path.joinable !== false) {
+                for (let extended = true; extended;) {
+                    extended = false;
+                    const head = headOf(chain[0]);
+                    const tail = tailOf(chain[chain.length - 1]);
+                    if (chain.length > 1 && key(head) === key(tail)) break;
+
+                    for (const [point, append] of [[tail, true], [head, false]]) {
+                        const other = findTouching(point);
+                        if (!other) continue;
+
+                        // Appended paths must start at the tail, prepended ones end at the head
+                        const fits = key(append ? other.start : other.end) === key(point);
+                        if (!fits && !other.reversible) continue;
+
+                        used.add(other);
+                        const entry = { path: other, reversed: !fits };
+                        if (append) chain.push(entry);
+                        else chain.unshift(entry);
+                        extended = true;
+                        break;
+                    }
+                }
+            }
+
+            chains.push({
+                entries: chain,
+                start: headOf(chain[0]),
+                end: tailOf(chain[chain.length - 1]),
+                reversible: chain.every(entry => entry.path.reversible)
+            });
+        }
+
+        // Nearest neighbour tour, entering reversible chains from either end
+        const tour = [];
+        const remaining = new Set(chains);
+        let position = origin;
+        while (remaining.size > 0) {
+            let best = null;
+            let bestDistance = Infinity;
+            for (const chain of remaining) {
+                const forward = distance(position, chain.start);
+                if (forward < bestDistance) {
+                    best = { chain, reversed: false };
+                    bestDistance = forward;
+                }
+                const backward = chain.reversible ? distance(position, chain.end) : Infinity;
+                if (backward < bestDistance) {
+                    best = { chain, reversed: true };
+                    bestDistance = backward;
+                }
+            }
+            remaining.delete(best.chain);
+            tour.push(best);
+            position = best.reversed ? best.chain.start : best.chain.end;
+        }
+
+        // 2-opt: reverse a stretch of the tour (flipping each chain) while it shortens the travel
+        const entryOf = (item) => item.reversed ? item.chain.end : item.chain.start;
+        const exitOf = (item) => item.reversed ? item.chain.start : item.chain.end;
+        const pointBefore = (i) => i === 0 ? origin : exitOf(tour[i - 1]);
+        const fixed = tour.map(item => item.chain.reversible ? 0 : 1);
+        const fixedBefore = [0];
+        for (const count of fixed) fixedBefore.push(fixedBefore[fixedBefore.length - 1] + count);
+
+        for (let pass = 0, improved = true; improved && pass < 50; pass++) {
+            improved = false;
+            for (let i = 0; i < tour.length - 1; i++) {
+                for (let j = i + 1; j < tour.length; j++) {
+                    if (fixedBefore[j + 1] - fixedBefore[i] > 0) break;
+
+                    const before = pointBefore(i);
+                    const after = j + 1 < tour.length ? entryOf(tour[j + 1]) : null;
+                    const oldCost = distance(before, entryOf(tour[i])) + (after ? distance(exitOf(tour[j]), after) : 0);
+                    const newCost = distance(before, exitOf(tour[j])) + (after ? distance(entryOf(tour[i]), after) : 0);
+
+                    if (newCost < oldCost - 1e-9) {
+                        const stretch = tour.slice(i, j + 1).reverse().map(item => ({ ...item, reversed: !item.reversed }));
+                        tour.splice(i, stretch.length, ...stretch);
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return tour.map(({ chain, reversed }) => reversed
+            ? chain.entries.slice().reverse().map(entry => ({ ...entry, reversed: !entry.reversed }))
+            : chain.entries);
+    }
+
+    /**
+     * Output paths joined where their ends touch and ordered from `origin`
+     * by optimizePathOrder. Closed paths keep their direction.
+     */
+    chainPaths(paths, origin) {
+        const items = paths.map(path => ({
+            ...path,
+            start: path.points[0],
+            end: path.points[path.points.length - 1],
+            reversible: !path.closed,
+            joinable: path.points.length > 1
+        }));
+        return this.optimizePathOrder(items, origin).map(chain => this.mergePathChain(chain));
+    }
+
+    /**
+     * One output path from a chain of entity paths, walked in order.
+     */
+    mergePathChain(chain) {
+        if (chain.length === 1 && !chain[0].reversed) return chain[0].path;
+
+        const points = [];
+        for (const { path, reversed } of chain) {
+            const walked = reversed ? this.reversePathPoints(path.points) : path.points;
+            points.push(...(points.length > 0 ? walked.slice(1) : walked));
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        return {
+            label: chain.length > 1 ? `CHAIN (${chain.length} entities)` : chain[0].path.label,
+            points,
+            closed: chain.length > 1 ? Math.hypot(first.x - last.x, first.y - last.y) < 1e-3 : chain[0].path.closed
+        };
+    }
+
+    /**
+     * Total G0 distance of a program, run through the interpreter without
+     * touching the loaded program or its diagnostics.
+     */
+    measureRapidTravel(gcode) {
+        const diagnostics = this.diagnostics;
+        const state = this.createModalState();
+        let travel = 0;
+
+        for (const line of gcode.split('\n')) {
+            const words = this.tokenizeBlock(line);
+            if (words.length === 0) continue;
+
+            const from = { ...state.position };
+            const command = this.executeBlock(words, state, 0);
+            if (command && command.type === 'G0') {
+                travel += Math.hypot(command.x - from.x, command.y - from.y, command.z - from.z);
+            }
+        }
+
+        this.diagnostics = diagnostics;
+        return travel;
+    }
+
+    /**
+     * Optimize the loaded program: cut paths (runs of feed moves between
+     * rapids) are reordered, reversed where that is safe, and joined where
+     * one ends where the next starts. The rapids between paths are
+     * regenerated; everything else is kept. Paths are only reordered among
+     * neighbours at the same depth, and never across M, S or T words.
+     */
+    optimizeLoadedGcode() {
+        if (this.commands.length === 0) {
+            this.parseGcode();
+            if (this.commands.length === 0) return;
+        }
+        if (this.diagnostics.some(d => d.severity === 'error' && d.source !== 'limits')) {
+            alert('Please fix the errors in the program before optimizing it.');
+            return;
+        }
+
+        try {
+            const before = this.getRapidTravel();
+            const gcode = this.optimizeGcodeText(document.getElementById('gcodeInput').value);
+            this.setOptimizedProgram(gcode, before);
+            this.loadProgram(gcode, false);
+        } catch (error) {
+            alert('Cannot optimize this program: ' + error.message);
+        }
+    }
+
+    setOptimizedProgram(gcode, rapidTravelBefore) {
+        this.optimizedText = gcode;
+        this.rapidTravelBefore = rapidTravelBefore;
+    }
+
+    getRapidTravel() {
+        let travel = 0;
+        this.forEachSegment((cmd, from, to) => {
+            if (cmd.type === 'G0') travel += Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+        });
+        return travel;
+    }
+
+    optimizeGcodeText(gcodeText) {
+        const lines = gcodeText.split('\n');
+        const blockAt = new Map(this.blocks.map(block => [block.lineNumber, block]));
+        const units = this.blocks.length > 0 ? this.blocks[0].modal.units : 'G21';
+        const unitScale = units === 'G20' ? 25.4 : 1;
+
+        for (const block of this.blocks) {
+            const words = this.tokenizeBlock(lines[block.lineNumber - 1]);
+            if (block.modal.distanceMode !== 'G90' || block.modal.feedMode !== 'G94' ||
+                block.modal.units !== units || words.some(w => w.letter === 'G' && (w.value === 92 || w.value === 92.1))) {
+                throw new Error('only absolute (G90), units-per-minute (G94) programs in one unit system and without G92 are supported');
+            }
+        }
+
+        const isComment = (line) => this.tokenizeBlock(line).length === 0;
+        const kindOf = (i) => {
+            const block = blockAt.get(i + 1);
+            if (!block || !block.command) return 'other';
+            return block.command.type === 'G0' ? 'rapid' : 'cut';
+        };
+
+        // Split the program into preamble, cut paths and postamble
+        const preamble = [];
+        const paths = [];
+        let leading = [];
+        let tail = [];
+        let position = { x: 0, y: 0, z: 0 };
+        let modalBefore = this.snapshotModalState(this.createModalState());
+        let current = null;
+        let seenRapid = false;
+        let safeZ = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const kind = kindOf(i);
+            const block = blockAt.get(i + 1);
+
+            if (kind === 'cut' && !current) {
+                current = { leading, lines: [], commands: [], start: position, modal: modalBefore };
+                paths.push(current);
+                leading = [];
+                tail = [];
+            }
+
+            if (current && kind !== 'rapid') {
+                current.lines.push(i);
+            } else if (kind === 'rapid') {
+                if (current) {
+                    // Comments after the last cut introduce the next path
+                    while (current.lines.length > 0 && isComment(lines[current.lines[current.lines.length - 1]])) {
+                        leading.unshift(current.lines.pop());
+                    }
+                    current.end = position;
+                    current = null;
+                }
+                seenRapid = true;
+                tail.push(i);
+                safeZ = safeZ === null ? block.command.z : Math.max(safeZ, block.command.z);
+            } else if (!seenRapid) {
+                preamble.push(i);
+            } else {
+                leading.push(i);
+                tail.push(i);
+            }
+
+            if (block) {
+                if (block.command) {
+                    if (current) current.commands.push({ command: block.command, from: position });
+                    position = { x: block.command.x, y: block.command.y, z: block.command.z };
+                }
+                modalBefore = block.modal;
+            }
+        }
+        if (current) {
+            current.end = position;
+            tail = [];
+        }
+        if (paths.length === 0) throw new Error('it has no cutting moves');
+
+        // Paths that touch no machine state and stay at one height can be cut backwards
+        for (const path of paths) {
+            const depth = Math.min(...path.commands.map(({ command }) => Math.min(...this.getCommandPoints(command).map(p => p.z))));
+            path.depth = depth;
+            path.barrier = path.leading.some(i => this.tokenizeBlock(lines[i]).some(w => 'MST'.includes(w.letter)));
+            path.reversible = path.lines.every(i => kindOf(i) === 'cut' || isComment(lines[i])) &&
+                path.commands.every(({ command }) => command.type !== 'G0' && command.z === path.start.z &&
+                    (command.type === 'G1' || blockAt.get(command.lineNumber).modal.plane === 'G17'));
+        }
+
+        // Reorder within runs of neighbouring paths at the same depth
+        const groups = [];
+        for (const path of paths) {
+            const group = groups[groups.length - 1];
+            if (group && !path.barrier && Math.abs(group[0].depth - path.depth) < 1e-6) group.push(path);
+            else groups.push([path]);
+        }
+
+        const format = (value) => this.formatCoordinate(value / unitScale);
+        const output = preamble.map(i => lines[i]);
+        let tool = { x: 0, y: 0, z: 0 };
+
+        for (const group of groups) {
+            // A path that changes machine state keeps its place at the head of its group
+            const [head, ...rest] = group;
+            const chains = head.barrier
+                ? [[{ path: head, reversed: false }], ...this.optimizePathOrder(rest, head.end)]
+                : this.optimizePathOrder(group, tool);
+
+            for (const chain of chains) {
+                chain.forEach(({ path, reversed }, index) => {
+                    const start = reversed ? path.end : path.start;
+
+                    if (index === 0) {
+                        if (safeZ !== null && tool.z < safeZ) output.push(`G0 Z${format(safeZ)}`);
+                        output.push(`G0 X${format(start.x)} Y${format(start.y)}`);
+                    }
+                    output.push(...path.leading.map(i => lines[i]));
+                    if (index === 0 && safeZ !== null && start.z !== Math.max(tool.z, safeZ)) {
+                        output.push(`G0 Z${format(start.z)}`);
+                    }
+
+                    if (reversed) {
+                        output.push(...this.reverseGcodePath(path, unitScale));
+                    } else {
+                        output.push(...this.restoreGcodeModal(path, lines));
+                    }
+                    tool = reversed ? path.start : path.end;
+                });
+            }
+        }
+
+        output.push(...tail.map(i => lines[i]));
+        return output.join('\n');
+    }
+
+    /**
+     * A path's lines as written, with the motion mode and feed it inherited
+     * from the original previous line made explicit on its first move.
+     */
+    restoreGcodeModal(path, lines) {
+        const output = path.lines.map(i => lines[i]);
+        const first = path.lines.findIndex(i => path.commands[0].command.lineNumber === i + 1);
+        const words = this.tokenizeBlock(output[first]);
+
+        let prefix = '';
+        if (!words.some(w => w.letter === 'G' && [0, 1, 2, 3].includes(w.value))) prefix += `${path.modal.motion} `;
+        if (!words.some(w => w.letter === 'F') && path.modal.feedRate > 0) prefix += `F${path.modal.feedRate} `;
+
+        // Keep a leading N word first
+        output[first] = output[first].replace(/^(\s*N\d+\s*)?/i, (n) => n + prefix);
+        return output;
+    }
+
+    /**
+     * Regenerate a constant-height path backwards: lines stay lines, arcs
+     * swap G2/G3 and get I/J from the new start point.
+     */
+    reverseGcodePath(path, unitScale) {
+        const format = (value) => this.formatCoordinate(value / unitScale);
+        const output = [];
+        let feed = null;
+
+        for (let k = path.commands.length - 1; k >= 0; k--) {
+            const { command, from } = path.commands[k];
+            const feedWord = command.feedRate !== feed ? ` F${+(command.feedRate / unitScale).toFixed(3)}` : '';
+            feed = command.feedRate;
+
+            if (command.type === 'G1') {
+                output.push(`G1 X${format(from.x)} Y${format(from.y)}${feedWord}`);
+                continue;
+            }
+
+            const points = [from, ...command.points];
+            const center = this.getCircumcenter(points[0], points[Math.floor(points.length / 3)], points[Math.floor(points.length * 2 / 3)]);
+            const type = command.type === 'G2' ? 'G3' : 'G2';
+            output.push(`${type} X${format(from.x)} Y${format(from.y)} I${format(center.x - command.x)} J${format(center.y - command.y)}${feedWord}`);
+        }
+        return output;
+    }
+
+    formatCoordinate(value) {
+        const text = value.toFixed(3);
+        return text === '-0.000' ? '0.000' : text;
+    }
+
+    getCircumcenter(a, b, c) {
+        const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        return {
+            x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+            y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+        };
+    }
+
+    // ===== Tool Compensation =====
+
+    /**
+     * Offset the closed paths of a layer by the tool radius so the finished
+     * edge lands on the drawing. Nesting decides which side is material:
+     * contours inside an odd number of others are holes in a part, or
+     * islands in an opening. 'outside' cuts parts free, 'inside' cuts
+     * openings; open paths stay on the line. Offset arcs and round corners
+     * come out as arcs unless arcs are linearized. Contours too small for
+     * the tool give no loop; they are added to `skipped`.
+     */
+    compensatePaths(paths, operation, radius, skipped = []) {
+        const contours = [];
+        const open = [];
+        for (const path of paths) {
+            const contour = path.closed ? this.getPathContour(path) : null;
+            if (contour) contours.push(contour);
+            else open.push(path);
+        }
+        if (contours.length === 0 || !(radius > 0)) return paths;
+
+        const grow = operation === 'outside';
+        const loops = this.offsetContours(this.orientContours(contours), grow ? radius : -radius);
+
+        // Every loop runs a tool radius from the contours it came from
+        const reach = radius + 1.5 * Math.min(this.cam.tolerance, radius) + 1e-6;
+        skipped.push(...contours.filter(contour =>
+            !loops.some(loop => loop.some(point => this.getContoursDistance(point, [contour]) <= reach))));
+
+        // Climb milling with a clockwise spindle keeps the material on the tool's right
+        const reverse = grow === (this.cam.direction === 'climb');
+        const label = `${grow ? 'OUTSIDE' : 'INSIDE'} PROFILE (tool r: ${+radius.toFixed(3)})`;
+        return [
+            ...loops.map(loop => {
+                const points = reverse ? this.reverseLoop(loop) : loop;
+                return { label, points: this.getOffsetLoopPath(points), closed: true };
+            }),
+            ...open
+        ];
+    }
+
+    /**
+     * Path points for a closed offset loop. Points on one circle in a row
+     * become a single arc, with its center moved onto the perpendicular
+     * bisector of the arc's ends so G2/G3 start and end radii agree
+     * exactly; arcs too short to be stable become lines.
+     */
+    getOffsetLoopPath(loop) {
+        const closed = [...loop, loop[0]];
+        if (this.cam.linearizeArcs) return closed.map(({ x, y }) => ({ x, y }));
+
+        const points = [];
+        const sweeps = [];
+        for (const { arc, ...position } of closed) {
+            const last = points[points.length - 1];
+            if (!last || !arc) {
+                points.push(position);
+                sweeps.push(0);
+                continue;
+            }
+
+            const ax = last.x - arc.cx;
+            const ay = last.y - arc.cy;
+            const bx = position.x - arc.cx;
+            const by = position.y - arc.cy;
+            const step = Math.atan2(ax * by - ay * bx, ax * bx + ay * by);
+            const onCircle = last.arc && last.arc.clockwise === arc.clockwise &&
+                Math.hypot(last.arc.cx - arc.cx, last.arc.cy - arc.cy) < 1e-6 &&
+                Math.abs(Math.hypot(ax, ay) - Math.hypot(bx, by)) <= 2 * this.cam.tolerance;
+            if (onCircle) {
+                points[points.length - 1] = { ...position, arc: last.arc };
+                sweeps[sweeps.length - 1] += step;
+            } else {
+                points.push({ ...position, arc: { cx: arc.cx, cy: arc.cy, clockwise: arc.clockwise } });
+                sweeps.push(step);
+            }
+        }
+
+        return points.map((point, k) => {
+            if (!point.arc) return point;
+            const { arc, ...position } = point;
+            const from = points[k - 1];
+            const chord = Math.hypot(point.x - from.x, point.y - from.y);
+            const sweep = sweeps[k];
+            if (Math.abs(sweep) < 1e-6 || (sweep < 0) !== arc.clockwise || (chord < 1e-4 && Math.abs(sweep) < Math.PI)) {
+                return position;
+            }
+            if (chord < 1e-4) return point; // Full circle
+
+            const mx = (from.x + point.x) / 2;
+            const my = (from.y + point.y) / 2;
+            const ux = -(point.y - from.y) / chord;
+            const uy = (point.x - from.x) / chord;
+            const t = (arc.cx - mx) * ux + (arc.cy - my) * uy;
+            return { ...position, arc: { cx: mx + t * ux, cy: my + t * uy, clockwise: arc.clockwise } };
+        });
+    }
+
+    /**
+     * A closed point list walked backwards, keeping the arcs points are
+     * reached by (see reversePathPoints) round the closing segment too.
+     */
+    reverseLoop(points) {
+        const n = points.length;
+        return points.map((point, k) => {
+            const { arc, ...position } = points[n - 1 - k];
+            const next = points[(n - k) % n];
+            if (next.arc) position.arc = { ...next.arc, clockwise: !next.arc.clockwise };
+            return position;
+        });
+    }
+
+    /**
+     * A closed path as a polygon without the repeated end point, arcs
+     * flattened to the chord tolerance. Points on a flattened arc keep the
+     * arc they are reached by. Null when it encloses no area.
+     */
+    getPathContour(path) {
+        const points = [];
+        const add = (point) => {
+            const last = points[points.length - 1];
+            if (!last || Math.hypot(point.x - last.x, point.y - last.y) > 1e-9) points.push(point);
+        };
+
+        path.points.forEach((point, k) => {
+            if (!point.arc || k === 0) {
+                add({ x: point.x, y: point.y });
+                return;
+            }
+            const { cx, cy, r, start, sweep } = this.getPathArc(path.points[k - 1], point);
+            const arc = { cx, cy, clockwise: sweep < 0 };
+            const segments = this.getFlattenSegments(r, sweep);
+            for (let s = 1; s < segments; s++) {
+                const angle = start + sweep * s / segments;
+                add({ x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle), arc });
+            }
+            add({ x: point.x, y: point.y, arc });
+        });
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && Math.hypot(first.x - last.x, first.y - last.y) < 1e-6) {
+            // The closing segment now reaches the first point
+            points.pop();
+            if (last.arc) first.arc = last.arc;
+        }
+        return points.length >= 3 && Math.abs(this.getPolygonArea(points)) > 1e-9 ? points : null;
+    }
+
+    /**
+     * Center, radius, start angle and signed sweep of the arc a path point
+     * is reached by. Arcs that end where they start are full circles.
+     */
+    getPathArc(from, point) {
+        const { cx, cy, clockwise } = point.arc;
+        const start = Math.atan2(from.y - cy, from.x - cx);
+        let sweep = Math.atan2(point.y - cy, point.x - cx) - start;
+        if (clockwise && sweep >= -1e-9) sweep -= 2 * Math.PI;
+        if (!clockwise && sweep <= 1e-9) sweep += 2 * Math.PI;
+        return { cx, cy, r: Math.hypot(from.x - cx, from.y - cy), start, sweep };
+    }
+
+    /**
+     * Wind contours so the region they bound is on the left: counter-
+     * clockwise at even nesting depth, clockwise inside an odd number of
+     * other contours.
+     */
+    orientContours(contours) {
+        return contours.map(points => {
+            const depth = contours.filter(other => other !== points && this.isPointInPolygon(points[0], other)).length;
+            const counterClockwise = this.getPolygonArea(points) > 0;
+            return counterClockwise === (depth % 2 === 0) ? points : this.reverseLoop(points);
+        });
+    }
+
+    /**
+     * Offset oriented contours together: positive distances grow the region
+     * they bound, negative ones shrink it. Every edge is moved out along its
+     * normal with round or miter joins, the raw curves are cut where they
+     * cross, and only pieces a full radius from every contour are kept and
+     * stitched back into loops. Contours that come too close merge, and
+     * ones too small for the tool disappear.
+     */
+    offsetContours(contours, distance) {
+        const radius = Math.abs(distance);
+        const side = Math.sign(distance);
+        const curves = contours.map(points => this.getRawOffset(points, radius, side)).filter(curve => curve.length >= 3);
+        const tolerance = 1.5 * Math.min(this.cam.tolerance, radius) + 1e-6;
+
+        const keep = (points, closed) => {
+            // Test the middle of the longest segment, well away from any cut;
+            // on an arc, the middle of the arc rather than of its chord
+            let best = null;
+            let bestLength = -1;
+            const count = closed ? points.length : points.length - 1;
+            for (let k = 0; k < count; k++) {
+                const a = points[k];
+                const b = points[(k + 1) % points.length];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length > bestLength) {
+                    bestLength = length;
+                    best = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+                    if (b.arc) {
+                        const r = Math.hypot(b.x - b.arc.cx, b.y - b.arc.cy);
+                        const d = Math.hypot(best.x - b.arc.cx, best.y - b.arc.cy);
+                        if (d > 1e-9) {
+                            best.x = b.arc.cx + (best.x - b.arc.cx) * r / d;
+                            best.y = b.arc.cy + (best.y - b.arc.cy) * r / d;
+                        }
+                    }
+                }
+            }
+            if (!best || this.getContoursDistance(best, contours) < radius - tolerance) return false;
+            const inside = contours.filter(contour => this.isPointInPolygon(best, contour)).length % 2 === 1;
+            return inside === (side < 0);
+        };
+
+        const loops = [];
+        const byStart = new Map();
+        for (const piece of this.splitOffsetCurves(curves)) {
+            if (!keep(piece.points, piece.start === null)) continue;
+            if (piece.start === null) {
+                loops.push(piece.points);
+                continue;
+            }
+            if (!byStart.has(piece.start)) byStart.set(piece.start, []);
+            byStart.get(piece.start).push(piece);
+        }
+
+        // Stitch the kept pieces end to start at the crossings they were cut at
+        const used = new Set();
+        for (const pieces of byStart.values()) {
+            for (const piece of pieces) {
+                if (used.has(piece)) continue;
+                const loop = [];
+                let current = piece;
+                while (current && !used.has(current)) {
+                    used.add(current);
+                    loop.push(...current.points.slice(1));
+                    if (current.end === piece.start) break;
+                    current = (byStart.get(current.end) || []).find(next => !used.has(next));
+                }
+                loops.push(loop);
+            }
+        }
+
+        return loops
+            .map(loop => loop.filter((point, k) => {
+                const previous = loop[(k + loop.length - 1) % loop.length];
+                return Math.hypot(point.x - previous.x, point.y - previous.y) > 1e-9;
+            }))
+            .filter(loop => loop.length >= 3 && Math.abs(this.getPolygonArea(loop)) > 1e-6);
+    }
+
+    /**
+     * One contour moved `radius` to its right (side 1) or left (side -1),
+     * untrimmed. Edges of a flattened arc are moved along its radius so
+     * they stay on one circle. Corners opening away from the contour get a
+     * round or miter join; corners folding in are bridged through the
+     * vertex itself, which leaves a small loop for trimming to remove.
+     * Points keep the arc (offset or round join) they are reached by.
+     */
+    getRawOffset(points, radius, side) {
+        const n = points.length;
+        const miterLimit = 2;
+        const direction = (a, b) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+        };
+        const normal = (d, p, arc) => {
+            const edge = { x: side * d.y, y: -side * d.x };
+            if (!arc) return edge;
+            const r = Math.hypot(p.x - arc.cx, p.y - arc.cy);
+            const sign = Math.sign((p.x - arc.cx) * edge.x + (p.y - arc.cy) * edge.y);
+            return { x: sign * (p.x - arc.cx) / r, y: sign * (p.y - arc.cy) / r };
+        };
+        const raw = [];
+
+        for (let i = 0; i < n; i++) {
+            const p = points[i];
+            const d1 = direction(points[(i + n - 1) % n], p);
+            const d2 = direction(p, points[(i + 1) % n]);
+            const n1 = normal(d1, p, p.arc);
+            const n2 = normal(d2, p, points[(i + 1) % n].arc);
+            const from = { x: p.x + radius * n1.x, y: p.y + radius * n1.y };
+            const to = { x: p.x + radius * n2.x, y: p.y + radius * n2.y };
+            const turn = Math.atan2(n1.x * n2.y - n1.y * n2.x, n1.x * n2.x + n1.y * n2.y);
+
+            if (p.arc) from.arc = p.arc;
+            raw.push(from);
+            if (Math.abs(turn) < 1e-9) continue;
+
+            if (turn * side < 0) {
+                raw.push({ x: p.x, y: p.y });
+            } else if (this.cam.corners === 'miter') {
+                const scale = 1 / (1 + n1.x * n2.x + n1.y * n2.y);
+                const miter = { x: p.x + radius * (n1.x + n2.x) * scale, y: p.y + radius * (n1.y + n2.y) * scale };
+                if (Math.hypot(miter.x - p.x, miter.y - p.y) <= miterLimit * radius) {
+                    raw.push(miter);
+                } else {
+                    // Square off corners too sharp for a sensible miter
+                    raw.push({ x: from.x + radius * d1.x, y: from.y + radius * d1.y });
+                    raw.push({ x: to.x - radius * d2.x, y: to.y - radius * d2.y });
+                }
+            } else {
+                const start = Math.atan2(n1.y, n1.x);
+                const segments = this.getFlattenSegments(radius, turn);
+                const arc = { cx: p.x, cy: p.y, clockwise: turn < 0 };
+                for (let s = 1; s < segments; s++) {
+                    const angle = start + turn * s / segments;
+                    raw.push({ x: p.x + radius * Math.cos(angle), y: p.y + radius * Math.sin(angle), arc });
+                }
+                to.arc = arc;
+            }
+            raw.push(to);
+        }
+
+        return raw.filter((point, k) => {
+            const previous = raw[(k + raw.length - 1) % raw.length];
+            return Math.hypot(point.x - previous.x, point.y - previous.y) > 1e-9;
+        });
+    }
+
+    /**
+     * Cut closed curves wherever they cross themselves or each other.
+     * Pieces run between two numbered crossings (start/end); a curve that
+     * crosses nothing comes back whole with start and end null. A piece's
+     * end keeps the arc of the segment it was cut from.
+     */
+    splitOffsetCurves(curves) {
+        const segments = [];
+        curves.forEach((points, c) => points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            segments.push({
+                c, i, a, b,
+                minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y)
+            });
+        }));
+        segments.sort((s, t) => s.minX - t.minX);
+
+        // Sweep along X so only segments with overlapping extents are compared
+        const crossings = curves.map(() => []);
+        let node = 0;
+        for (let k = 0; k < segments.length; k++) {
+            const s = segments[k];
+            for (let m = k + 1; m < segments.length && segments[m].minX <= s.maxX; m++) {
+                const t = segments[m];
+                if (t.minY > s.maxY || t.maxY < s.minY) continue;
+                if (s.c === t.c) {
+                    const gap = Math.abs(s.i - t.i);
+                    if (gap <= 1 || gap === curves[s.c].length - 1) continue;
+                }
+                const hit = this.intersectSegments(s.a, s.b, t.a, t.b);
+                if (!hit) continue;
+                crossings[s.c].push({ i: s.i, t: hit.t, node, point: hit.point });
+                crossings[t.c].push({ i: t.i, t: hit.u, node, point: hit.point });
+                node++;
+            }
+        }
+
+        const pieces = [];
+        curves.forEach((points, c) => {
+            const list = crossings[c].sort((e, f) => e.i - f.i || e.t - f.t);
+            if (list.length === 0) {
+                pieces.push({ points, start: null, end: null });
+                return;
+            }
+            list.forEach((from, k) => {
+                const to = list[(k + 1) % list.length];
+                const piece = [from.point];
+                if (k + 1 === list.length || to.i !== from.i) {
+                    let j = from.i;
+                    do {
+                        j = (j + 1) % points.length;
+                        piece.push(points[j]);
+                    } while (j !== to.i);
+                }
+                const arc = points[(to.i + 1) % points.length].arc;
+                piece.push(arc ? { ...to.point, arc } : to.point);
+                pieces.push({ points: piece, start: from.node, end: to.node });
+            });
+        });
+        return pieces;
+    }
+
+    /**
+     * Where segment a-b crosses c-d, with the fraction along each. Both
+     * ranges are half-open so a crossing on a shared vertex counts once.
+     */
+    intersectSegments(a, b, c, d) {
+        const rx = b.x - a.x;
+        const ry = b.y - a.y;
+        const sx = d.x - c.x;
+        const sy = d.y - c.y;
+        const denominator = rx * sy - ry * sx;
+        if (Math.abs(denominator) < 1e-12) return null;
+
+        const qx = c.x - a.x;
+        const qy = c.y - a.y;
+        const t = (qx * sy - qy * sx) / denominator;
+        const u = (qx * ry - qy * rx) / denominator;
+        if (t < 0 || t >= 1 || u < 0 || u >= 1) return null;
+        return { t, u, point: { x: a.x + rx * t, y: a.y + ry * t } };
+    }
+
+    /**
+     * Signed area, positive for counter-clockwise.
+     */
+    getPolygonArea(points) {
+        let area = 0;
+        points.forEach((a, k) => {
+            const b = points[(k + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        });
+        return area / 2;
+    }
+
+    isPointInPolygon(point, points) {
+        let inside = false;
+        for (let k = 0, j = points.length - 1; k < points.length; j = k++) {
+            const a = points[k];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Distance from a point to the nearest edge of any contour. Called for
+     * every offset piece, so it avoids Math.hypot and closures.
+     */
+    getContoursDistance(point, contours) {
+        let best = Infinity;
+        for (const points of contours) {
+            for (let k = 0, j = points.length - 1; k < points.length; j = k++) {
+                const a = points[j];
+                const dx = points[k].x - a.x;
+                const dy = points[k].y - a.y;
+                const px = point.x - a.x;
+                const py = point.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+                const ex = px - t * dx;
+                const ey = py - t * dy;
+                best = Math.min(best, ex * ex + ey * ey);
+            }
+        }
+        return Math.sqrt(best);
+    }
+
+    // ===== Pocket Clearing =====
+
+    /**
+     * Toolpaths that clear the area inside a layer's closed contours for one
+     * depth, leaving islands (contours nested an odd number of times)
+     * standing. Offset pockets cut rings from the middle outwards; zig-zag
+     * pockets cut rows, then one finishing lap along the walls. Moves
+     * between neighbouring rings and rows stay down when the link keeps
+     * clear of the walls. Open paths are left on the line.
+     */
+    pocketPaths(paths, radius) {
+        const contours = [];
+        const open = [];
+        for (const path of paths) {
+            const contour = path.closed ? this.getPathContour(path) : null;
+            if (contour) contours.push(contour);
+            else open.push(path);
+        }
+        if (contours.length === 0 || !(radius > 0)) return paths;
+
+        const regions = this.orientContours(contours);
+        const stepover = 2 * radius * this.cam.stepover / 100;
+        const boundary = this.offsetContours(regions, -radius);
+        const climb = this.cam.direction === 'climb';
+        const lap = (loop) => {
+            const points = (climb ? loop : loop.slice().reverse()).map(({ x, y }) => ({ x, y }));
+            return [...points, points[0]];
+        };
+
+        let cuts;
+        if (this.cam.pocketStrategy === 'zigzag') {
+            cuts = [...this.getZigzagRows(boundary, stepover, 2 * radius), ...boundary.map(lap)];
+        } else {
+            // Every ring is offset from the drawing itself so errors do not build up
+            const levels = [boundary];
+            for (let distance = radius + stepover; levels.length < 1000; distance += stepover) {
+                const loops = this.offsetContours(regions, -distance);
+                if (loops.length === 0) break;
+                levels.push(loops);
+            }
+            cuts = levels.reverse().flatMap(loops => loops.map(lap));
+        }
+
+        const label = `POCKET (${this.cam.pocketStrategy === 'zigzag' ? 'zig-zag' : 'offset'}, tool r: ${+radius.toFixed(3)})`;
+        return [...this.linkPocketCuts(cuts, boundary, 2 * radius).map(points => {
+            const first = points[0];
+            const last = points[points.length - 1];
+            return { label, points, closed: Math.hypot(first.x - last.x, first.y - last.y) < 1e-9 };
+        }), ...open];
+    }
+
+    /**
+     * Horizontal rows across the area inside `loops`, at most `stepover`
+     * apart and alternating in direction. Each span of a row is joined to a
+     * span of the row before when the step between them is safe, so areas
+     * split by islands are cleared as separate zig-zags.
+     */
+    getZigzagRows(loops, stepover, maxLink) {
+        const ys = loops.flat().map(p => p.y);
+        if (ys.length === 0) return [];
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const count = Math.max(1, Math.ceil((maxY - minY) / stepover));
+        const spacing = (maxY - minY) / count;
+        const chains = [];
+        let previous = [];
+
+        for (let k = 0; k < count; k++) {
+            const y = minY + spacing * (k + 0.5);
+            const xs = [];
+            for (const points of loops) {
+                for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                    const a = points[j];
+                    const b = points[i];
+                    if ((a.y > y) !== (b.y > y)) xs.push(a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y));
+                }
+            }
+            xs.sort((a, b) => a - b);
+
+            const spans = [];
+            for (let i = 0; i + 1 < xs.length; i += 2) {
+                spans.push(k % 2 === 0
+                    ? [{ x: xs[i], y }, { x: xs[i + 1], y }]
+                    : [{ x: xs[i + 1], y }, { x: xs[i], y }]);
+            }
+
+            const extended = [];
+            for (const span of k % 2 === 0 ? spans : spans.reverse()) {
+                const chain = previous.find(candidate => !extended.includes(candidate) &&
+                    this.isPocketLinkSafe(candidate[candidate.length - 1], span[0], loops, maxLink));
+                if (chain) {
+                    chain.push(...span);
+                    extended.push(chain);
+                } else {
+                    chains.push(span);
+                    extended.push(span);
+                }
+            }
+            previous = extended;
+        }
+        return chains;
+    }
+
+    /**
+     * Join pocket cuts in order. A closed ring starts at its point nearest
+     * the tool; a cut is linked to the last one without lifting when the
+     * straight move is short and stays inside the tool's reach of the walls.
+     */
+    linkPocketCuts(cuts, boundary, maxLink) {
+        const linked = [];
+        let current = null;
+
+        for (let points of cuts) {
+            const last = current && current[current.length - 1];
+            const closed = points.length > 2 && points[0].x === points[points.length - 1].x && points[0].y === points[points.length - 1].y;
+            if (last && closed) {
+                let nearest = 0;
+                points.forEach((p, k) => {
+                    if (Math.hypot(p.x - last.x, p.y - last.y) < Math.hypot(points[nearest].x - last.x, points[nearest].y - last.y)) nearest = k;
+                });
+                const ring = points.slice(0, -1);
+                points = [...ring.slice(nearest), ...ring.slice(0, nearest), ring[nearest]];
+            }
+
+            if (last && this.isPocketLinkSafe(last, points[0], boundary, maxLink)) {
+                current.push(...points);
+            } else {
+                current = points.slice();
+                linked.push(current);
+            }
+        }
+        return linked;
+    }
+
+    isPocketLinkSafe(a, b, boundary, maxLink) {
+        if (Math.hypot(b.x - a.x, b.y - a.y) > maxLink) return false;
+
+        // Links may run along a wall, but not outside it
+        const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const inside = boundary.filter(loop => this.isPointInPolygon(middle, loop)).length % 2 === 1;
+        if (!inside && this.getContoursDistance(middle, boundary) > 1e-6) return false;
+
+        // Ends may sit on the walls themselves; only crossings in between count
+        return !boundary.some(loop => loop.some((p, k) => {
+            const hit = this.intersectSegments(a, b, p, loop[(k + 1) % loop.length]);
+            return hit && hit.t > 1e-6 && hit.t < 1 - 1e-6;
+        }));
+    }
+
+    /**
+     * Pocket the closed contours the loaded program cuts (e.g. a shape from
+     * the chat) with the remembered CAM settings and the current tool.
+     */
+    pocketLoadedGcode() {
+        if (this.commands.length === 0) {
+            this.parseGcode();
+            if (this.commands.length === 0) return;
+        }
+
+        // Runs of level cutting moves that come back to where they started
+        const entities = [];
+        let run = [];
+        const finishRun = () => {
+            const first = run[0];
+            const last = run[run.length - 1];
+            if (run.length > 3 && Math.hypot(first.x - last.x, first.y - last.y) < 1e-3) {
+                entities.push({ type: 'POLYLINE', points: run.slice(0, -1).map(p => ({ x: p.x, y: p.y, bulge: 0 })), closed: true, layer: 'Pocket' });
+            }
+            run = [];
+        };
+        this.forEachSegment((cmd, from, to) => {
+            const cutting = cmd.type !== 'G0' && Math.abs(from.z - to.z) < 1e-6 && (from.x !== to.x || from.y !== to.y);
+            if (!cutting) {
+                finishRun();
+                return;
+            }
+            if (run.length === 0) run.push(from);
+            run.push(to);
+        });
+        finishRun();
+
+        if (entities.length === 0) {
+            alert('The program has no closed contours to pocket.');
+            return;
+        }
+
+        const gcode = this.generateGcodeFromEntities(entities, 'mm', [{
+            name: 'Pocket', include: true, ...this.getDefaultCut(), operation: 'pocket'
+        }], false, 'loaded program');
+        this.loadProgram(gcode, false);
+    }
+
+    // ===== Holding Tabs =====
+
+    /**
+     * Stretches [from, to] of a closed path's length left as tabs: the
+     * clicked tabs near it, or `tabCount` evenly spaced ones. The raised
+     * stretch is the tab width plus the cut width, so the material left
+     * standing is as wide as asked. No tabs when they would not fit.
+     */
+    getTabIntervals(path, cutWidth) {
+        const { tabCount, tabWidth } = this.cam;
+        const length = this.getPathSegments(path).reduce((sum, segment) => sum + segment.length, 0);
+        const reach = Math.max(cutWidth, tabWidth);
+        const clicked = this.manualTabs
+            .map(tab => this.locateOnPath(path, tab))
+            .filter(hit => hit.distance <= reach);
+        const centers = clicked.length > 0
+            ? clicked.map(hit => hit.position)
+            : Array.from({ length: tabCount }, (_, k) => length * (k + 0.5) / tabCount);
+
+        const half = (tabWidth + cutWidth) / 2;
+        if (centers.length === 0 || centers.length * 2 * half >= length) return [];
+        return centers.map(center => [Math.max(0, center - half), Math.min(length, center + half)]);
+    }
+
+    /**
+     * A path's moves with their length; arcs carry their center, radius,
+     * start angle and signed sweep.
+     */
+    getPathSegments(path) {
+        const segments = [];
+        for (let k = 1; k < path.points.length; k++) {
+            const from = path.points[k - 1];
+            const to = path.points[k];
+            if (to.arc) {
+                const arc = this.getPathArc(from, to);
+                segments.push({ from, to, arc, length: arc.r * Math.abs(arc.sweep) });
+            } else {
+                segments.push({ from, to, arc: null, length: Math.hypot(to.x - from.x, to.y - from.y) });
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Nearest point of a path to `point`, as distance along the path and
+     * distance away from it.
+     */
+    locateOnPath(path, point) {
+        let best = { position: 0, distance: Infinity };
+        let position = 0;
+
+        for (const { from, to, arc, length } of this.getPathSegments(path)) {
+            let t;
+            if (arc) {
+                let angle = Math.atan2(point.y - arc.cy, point.x - arc.cx) - arc.start;
+                angle = Math.sign(arc.sweep) * (((Math.sign(arc.sweep) * angle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI));
+                t = Math.max(0, Math.min(1, angle / arc.sweep));
+            } else {
+                const dx = to.x - from.x;
+                const dy = to.y - from.y;
+                t = length > 0 ? Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / (length * length))) : 0;
+            }
+
+            const at = this.getSegmentPoint({ from, to, arc }, t);
+            const distance = Math.hypot(point.x - at.x, point.y - at.y);
+            if (distance < best.distance) best = { position: position + t * length, distance };
+            position += length;
+        }
+        return best;
+    }
+
+    /**
+     * The point a fraction `t` along a segment. Points on an arc keep its
+     * `arc` so the pieces still go out as G2/G3.
+     */
+    getSegmentPoint({ from, to, arc }, t) {
+        if (!arc) return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+        const angle = arc.start + arc.sweep * t;
+        return { x: arc.cx + arc.r * Math.cos(angle), y: arc.cy + arc.r * Math.sin(angle), arc: to.arc };
+    }
+
+    /**
+     * Cut a path where tabs start and end. Returns pieces of consecutive
+     * points, each marked `raised` when it runs over a tab.
+     */
+    splitPathAtTabs(path, intervals) {
+        const raisedAt = (position) => intervals.some(([from, to]) => position >= from && position < to);
+        const breaks = intervals.flat().sort((a, b) => a - b);
+        const pieces = [];
+        let current = { points: [path.points[0]], raised: raisedAt(1e-6) };
+        let position = 0;
+
+        for (const segment of this.getPathSegments(path)) {
+            const end = position + segment.length;
+            for (const at of breaks) {
+                if (at <= position + 1e-9 || at >= end - 1e-9) continue;
+                const point = this.getSegmentPoint(segment, (at - position) / segment.length);
+                current.points.push(point);
+                pieces.push(current);
+                current = { points: [point], raised: raisedAt(at + 1e-6) };
+            }
+            current.points.push(segment.to);
+            position = end;
+
+            // A tab edge on a vertex switches without splitting a move
+            if (breaks.some(at => Math.abs(at - end) <= 1e-9) && raisedAt(end + 1e-6) !== current.raised) {
+                pieces.push(current);
+                current = { points: [segment.to], raised: raisedAt(end + 1e-6) };
+            }
+        }
+        if (current.points.length > 1) pieces.push(current);
+        return pieces;
+    }
+
+    setTabPlacementArmed(armed) {
+        if (armed && !this.lastDxf) {
+            alert('Convert a DXF drawing first, then click its profiles to place tabs.');
+            return;
+        }
+        this.tabPlacementArmed = armed;
+        document.getElementById('tabsBtn').classList.toggle('active', armed);
+        this.canvas.classList.toggle('place-tabs', armed);
+        this.draw();
+    }
+
+    /**
+     * Add a tab where the canvas was clicked, or remove the clicked one,
+     * and regenerate the program. Contours with clicked tabs get only those.
+     */
+    toggleTabAt(canvasX, canvasY) {
+        const world = this.canvasToWorld(canvasX, canvasY);
+        const reach = Math.max(this.cam.tabWidth / 2, 8 / this.scale);
+        const index = this.manualTabs.findIndex(tab => Math.hypot(tab.x - world.x, tab.y - world.y) <= reach);
+
+        if (index >= 0) this.manualTabs.splice(index, 1);
+        else this.manualTabs.push({ x: world.x, y: world.y });
+        this.updateDxfGcode();
+    }
+
+    /**
+     * Flag the moves the generator raised over tabs so the preview can show
+     * where material is left standing. Only applies while the program text
+     * is still the one that was generated.
+     */
+    markTabMoves(gcodeText) {
+        const lines = this.tabLines && this.tabLines.gcode === gcodeText ? this.tabLines.lines : null;
+        for (const cmd of this.commands) {
+            cmd.tab = !!lines && lines.has(cmd.lineNumber) && !cmd.zMove;
+        }
+    }
+
+    drawTabs() {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.colors.tab;
+        ctx.lineWidth = 5;
+        ctx.lineCap = 'round';
+        ctx.setLineDash([]);
+
+        this.forEachSegment((cmd, from, to) => {
+            if (!cmd.tab) return;
+            const a = this.worldToCanvas(from.x, from.y, from.z);
+            const b = this.worldToCanvas(to.x, to.y, to.z);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        });
+        ctx.lineCap = 'butt';
+
+        // While placing, ring the clicked spots
+        if (!this.tabPlacementArmed) return;
+        ctx.lineWidth = 1.5;
+        for (const tab of this.manualTabs) {
+            const p = this.worldToCanvas(tab.x, tab.y, 0);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    // ===== CAM Settings =====
+
+    showCamDialog(format = 'dxf') {
+        this.camFormat = format;
+        const name = format === 'image' ? 'Image' : format.toUpperCase();
+        document.getElementById('camDialogTitle').textContent = `${name} Conversion Settings`;
+        document.getElementById('camChooseBtn').textContent = `Choose ${name} File…`;
+
+        const cam = this.cam;
+        for (const [id, key] of this.getCamFields()) {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') input.checked = cam[key];
+            else input.value = cam[key];
+        }
+        document.getElementById('camOverlay').style.display = 'block';
+        document.getElementById('camDialog').style.display = 'block';
+    }
+
+    hideCamDialog() {
+        document.getElementById('camOverlay').style.display = 'none';
+        document.getElementById('camDialog').style.display = 'none';
+    }
+
+    /**
+     * Dialog inputs: [element id, setting, label, check]. Text and checkbox
+     * settings have no check.
+     */
+    getCamFields() {
+        return [
+            ['camFeedInput', 'feed', 'Feed', value => value > 0],
+            ['camPlungeInput', 'plungeFeed', 'Plunge feed', value => value > 0],
+            ['camSafeZInput', 'safeZ', 'Safe Z', value => value > 0],
+            ['camDepthInput', 'depth', 'Total depth', value => value >= 0],
+            ['camStepDownInput', 'stepDown', 'Step-down', value => value > 0],
+            ['camToleranceInput', 'tolerance', 'Chord tolerance', value => value > 0],
+            ['camToolOnInput', 'toolOn'],
+            ['camToolOffInput', 'toolOff'],
+            ['camToolPerPathCheck', 'toolPerPath'],
+            ['camOptimizeCheck', 'optimize'],
+            ['camLinearizeCheck', 'linearizeArcs'],
+            ['camOperationSelect', 'operation'],
+            ['camCornersSelect', 'corners'],
+            ['camDirectionSelect', 'direction'],
+            ['camPocketSelect', 'pocketStrategy'],
+            ['camStepoverInput', 'stepover', 'Stepover', value => value > 0 && value <= 100],
+            ['camTabCountInput', 'tabCount', 'Tab count', value => value >= 0 && Number.isInteger(value)],
+            ['camTabWidthInput', 'tabWidth', 'Tab width', value => value > 0],
+            ['camTabHeightInput', 'tabHeight', 'Tab height', value => value > 0]
+        ];
+    }
+
+    /**
+     * Validate and remember the dialog's settings, then pick the drawing file.
+     */
+    applyCamSettings() {
+        const settings = {};
+        for (const [id, key, label, check] of this.getCamFields()) {
+            const input = document.getElementById(id);
+            if (input.type === 'checkbox') {
+                settings[key] = input.checked;
+            } else if (!check) {
+                settings[key] = input.value.trim();
+            } else {
+                const value = parseFloat(input.value);
+                if (!check(value)) {
+                    alert(`Please enter a valid ${label.toLowerCase()}.`);
+                    input.focus();
+                    return;
+                }
+                settings[key] = value;
+            }
+        }
+
+        Object.assign(this.cam, settings);
+        localStorage.setItem('gcodeSimulator.camSettings', JSON.stringify(this.cam));
+        this.hideCamDialog();
+
+        // Clear the input so picking the same file again still loads it
+        const fileInput = document.getElementById(`${this.camFormat}FileInput`);
+        fileInput.value = '';
+        fileInput.click();
+    }
+
+    /**
+     * Depth, feed, pass count and operation from the CAM settings, for
+     * layers that have not been given their own.
+     */
+    getDefaultCut() {
+        const { depth, feed, stepDown, operation } = this.cam;
+        return { depth, feed, passes: Math.max(1, Math.ceil(depth / stepDown - 1e-9)), operation };
+    }
+
+    /**
+     * What a layer's closed contours are cut as: [value, label].
+     */
+    getCamOperations() {
+        return [
+            ['on', 'On line'],
+            ['outside', 'Outside'],
+            ['inside', 'Inside'],
+            ['pocket', 'Pocket']
+        ];
+    }
+
+    // ===== DXF Layers =====
+
+    /**
+     * Layers that have entities, in order of first use, with default cut
+     * settings. Frozen, switched-off and non-plotting layers start excluded.
+     */
+    getDxfLayers(drawing) {
+        const layers = [];
+        for (const entity of drawing.entities) {
+            let layer = layers.find(l => l.name === entity.layer);
+            if (!layer) {
+                const entry = drawing.layerTable[entity.layer];
+                layer = {
+                    name: entity.layer,
+                    count: 0,
+                    include: !(entry && entry.hidden) && entity.layer.toLowerCase() !== 'defpoints',
+                    ...this.getDefaultCut()
+                };
+                layers.push(layer);
+            }
+            layer.count++;
+        }
+        return layers;
+    }
+
+    showDxfLayersDialog(drawing, layers) {
+        this.dxfDrawing = drawing;
+        this.dxfLayers = layers;
+        this.renderDxfLayers();
+        document.getElementById('dxfLayersOverlay').style.display = 'block';
+        document.getElementById('dxfLayersDialog').style.display = 'block';
+    }
+
+    hideDxfLayersDialog() {
+        document.getElementById('dxfLayersOverlay').style.display = 'none';
+        document.getElementById('dxfLayersDialog').style.display = 'none';
+        this.dxfDrawing = null;
+    }
+
+    renderDxfLayers() {
+        const rows = document.getElementById('dxfLayerRows');
+        rows.innerHTML = this.dxfLayers.map((layer, index) => `
+            <tr class="${layer.include ? '' : 'excluded'}">
+                <td><input type="checkbox" data-index="${index}" data-key="include" ${layer.include ? 'checked' : ''}></td>
+                <td class="layer-name">${this.escapeHtml(layer.name)}</td>
+                <td>${layer.count}</td>
+                <td><input type="number" data-index="${index}" data-key="depth" value="${layer.depth}" min="0" step="0.1"></td>
+                <td><input type="number" data-index="${index}" data-key="feed" value="${layer.feed}" min="1" step="50"></td>
+                <td><input type="number" data-index="${index}" data-key="passes" value="${layer.passes}" min="1" step="1"></td>
+                <td>
+                    <select data-index="${index}" data-key="operation">
+                        ${this.getCamOperations().map(([value, label]) =>
+                            `<option value="${value}" ${layer.operation === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </td>
+                <td class="layer-order">
+                    <button class="layer-move" data-index="${index}" data-move="-1" title="Cut earlier" ${index === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="layer-move" data-index="${index}" data-move="1" title="Cut later" ${index === this.dxfLayers.length - 1 ? 'disabled' : ''}>▼</button>
+                </td>
+            </tr>`).join('');
+
+        rows.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('change', () => {
+                const layer = this.dxfLayers[input.dataset.index];
+                const key = input.dataset.key;
+                if (key === 'operation') {
+                    layer.operation = input.value;
+                    return;
+                }
+                if (key === 'include') {
+                    layer.include = input.checked;
+                    input.closest('tr').classList.toggle('excluded', !layer.include);
+                    return;
+                }
+
+                const value = parseFloat(input.value);
+                const valid = key === 'depth' ? value >= 0 : value > 0;
+                if (!valid) {
+                    input.value = layer[key];
+                    return;
+                }
+                layer[key] = key === 'passes' ? Math.round(value) : value;
+                input.value = layer[key];
+            });
+        });
+
+        rows.querySelectorAll('.layer-move').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = parseInt(button.dataset.index);
+                const target = index + parseInt(button.dataset.move);
+                [this.dxfLayers[index], this.dxfLayers[target]] = [this.dxfLayers[target], this.dxfLayers[index]];
+                this.renderDxfLayers();
+            });
+        });
+    }
+
+    applyDxfLayers() {
+        if (!this.dxfLayers.some(layer => layer.include)) {
+            alert('Select at least one layer to cut.');
+            return;
+        }
+
+        const drawing = this.dxfDrawing;
+        this.hideDxfLayersDialog();
+        this.applyDxfGcode(drawing, this.dxfLayers);
+    }
+
+    /**
+     * An entity as a path for output. Points reached by an arc carry
+     * `arc: {cx, cy, clockwise}` unless arcs are linearized. `closed` marks
+     * paths that end where they start, so later passes can step straight down.
+     */
+    getEntityPath(entity) {
+        const arcs = !this.cam.linearizeArcs;
+
+        if (entity.type === 'LINE') {
+            return {
+                label: 'LINE',
+                points: [{ x: entity.x1, y: entity.y1 }, { x: entity.x2, y: entity.y2 }],
+                closed: false
+            };
+        }
+        if (entity.type === 'POLYLINE') {
+            let points;
+            if (arcs) {
+                points = this.getPolylineArcPoints(entity);
+            } else {
+                points = this.flattenDxfBulges(entity).points;
+                if (entity.closed) points.push(points[0]);
+            }
+            return { label: `POLYLINE (${entity.points.length} points)`, points, closed: entity.closed };
+        }
+        if (entity.type === 'CIRCLE') {
+            const label = `CIRCLE (center: ${entity.cx.toFixed(3)}, ${entity.cy.toFixed(3)}, r: ${entity.r.toFixed(3)})`;
+            const start = { x: entity.cx + entity.r, y: entity.cy };
+            if (arcs) {
+                return { label, points: [start, { ...start, arc: { cx: entity.cx, cy: entity.cy, clockwise: false } }], closed: true };
+            }
+
+            // Approximate circle with line segments
+            const segments = Math.max(8, this.getFlattenSegments(entity.r, Math.PI * 2));
+            const points = [];
+            for (let j = 0; j <= segments; j++) {
+                const angle = (j / segments) * 2 * Math.PI;
+                points.push({ x: entity.cx + entity.r * Math.cos(angle), y: entity.cy + entity.r * Math.sin(angle) });
+            }
+            return { label, points, closed: true };
+        }
+        if (entity.type === 'ARC') {
+            const startRad = entity.startAngle * Math.PI / 180;
+            const endRad = entity.endAngle * Math.PI / 180;
+            let angleDiff = endRad - startRad;
+            if (angleDiff < 0) angleDiff += 2 * Math.PI;
+            const pointAt = (angle) => ({ x: entity.cx + entity.r * Math.cos(angle), y: entity.cy + entity.r * Math.sin(angle) });
+
+            if (arcs) {
+                const end = { ...pointAt(endRad), arc: { cx: entity.cx, cy: entity.cy, clockwise: false } };
+                return { label: 'ARC', points: [pointAt(startRad), end], closed: false };
+            }
+
+            const segments = this.getFlattenSegments(entity.r, angleDiff);
+            const points = [];
+            for (let j = 0; j <= segments; j++) {
+                points.push(pointAt(startRad + (j / segments) * angleDiff));
+            }
+            return { label: 'ARC', points, closed: false };
+        }
+        if (entity.type === 'POINT') {
+            return { label: 'POINT', points: [{ x: entity.x, y: entity.y }], closed: false };
+        }
+        return null;
+    }
+
+    /**
+     * Polyline vertices with bulged segments as arcs, including the
+     * closing segment of a closed polyline.
+     */
+    getPolylineArcPoints(entity) {
+        const vertices = entity.points;
+        const points = [{ x: vertices[0].x, y: vertices[0].y }];
+        const count = entity.closed ? vertices.length : vertices.length - 1;
+
+        for (let j = 0; j < count; j++) {
+            const from = vertices[j];
+            const to = vertices[(j + 1) % vertices.length];
+            const point = { x: to.x, y: to.y };
+            if (from.bulge && (from.x !== to.x || from.y !== to.y)) {
+                const arc = this.bulgeToArc(from, to, from.bulge);
+                point.arc = { cx: arc.cx, cy: arc.cy, clockwise: from.bulge < 0 };
+            }
+            points.push(point);
+        }
+        return points;
+    }
+
+    /**
+     * The same path walked backwards: each arc moves to the other end of
+     * its segment and turns the other way.
+     */
+    reversePathPoints(points) {
+        return points.map((point, k) => {
+            const { arc, ...position } = points[points.length - 1 - k];
+            const next = points[points.length - k];
+            if (next && next.arc) position.arc = { ...next.arc, clockwise: !next.arc.clockwise };
+            return position;
+        });
+    }
+
+    /**
+     * Without `layers` everything is cut once at the default depth. With
+     * layer settings, included layers are cut in the given order, each at
+     * its own depth and feed, stepping down evenly over its passes. With
+     * `optimize`, each layer's paths are chained and reordered to cut down
+     * rapid travel. Layers cut outside or inside have their closed contours
+     * offset by the tool radius first; pocketed layers are cleared one
+     * depth at a time in the order pocketPaths gives. Closed profiles get
+     * holding tabs on every pass that goes below the tab tops.
+     */
+    generateGcodeFromEntities(entities, units = 'mm', layers = null, optimize = this.cam.optimize, source = 'DXF file') {
+        const { safeZ, plungeFeed, toolOn, toolOff, toolPerPath } = this.cam;
+        const groups = layers
+            ? layers.filter(layer => layer.include).map(layer => ({
+                ...layer,
+                entities: entities.filter(entity => entity.layer === layer.name)
+            }))
+            : [{ name: null, ...this.getDefaultCut(), entities }];
+        const formatZ = (z) => +z.toFixed(3);
+        const compensated = (group) => group.operation === 'outside' || group.operation === 'inside';
+        const tabbed = this.cam.tabCount > 0 || this.manualTabs.length > 0;
+        const tabLines = new Set();
+        const skipped = [];
+
+        let gcode = [
+            '%',
+            `(Generated from ${source})`,
+            ...(units !== 'mm' ? [`(Drawing units: ${units}, converted to mm)`] : []),
+            `(Safe Z: ${safeZ}mm, Plunge Feed: ${plungeFeed} mm/min)`,
+            ...(tabbed ? [`(Tabs: ${[
+                ...(this.cam.tabCount > 0 ? [`${this.cam.tabCount} per contour`] : []),
+                ...(this.manualTabs.length > 0 ? [`${this.manualTabs.length} placed`] : [])
+            ].join(', ')}, ${this.cam.tabWidth}mm wide, ${this.cam.tabHeight}mm high)`] : []),
+            ...groups.map(group => `(${group.name === null ? 'All entities' : 'Layer ' + group.name}: ` +
+                `Cut Z: ${formatZ(-group.depth)}mm in ${group.passes} pass${group.passes > 1 ? 'es' : ''}, Feed Rate: ${group.feed} mm/min` +
+                `${compensated(group) ? `, ${group.operation} by ${formatZ(this.getCutWidth(-group.depth) / 2)}mm ${this.cam.direction}` : ''}` +
+                `${group.operation === 'pocket' ? `, ${this.cam.pocketStrategy} pocket at ${this.cam.stepover}% stepover` : ''})`),
+            '',
+            'G21         ; Millimeters',
+            'G90         ; Absolute positioning',
+            'G17         ; XY plane',
+            '',
+            '; Initialize - lift pen and go to origin',
+            `G0 Z${safeZ}`,
+            'G0 X0 Y0',
+            ...(toolOn && !toolPerPath ? [`${toolOn}         ; Tool on`] : []),
+            ''
+        ];
+
+        // With per-path switching the tool is only on while it is down
+        let toolIsOn = false;
+        const penUp = () => {
+            if (toolPerPath && toolOff && toolIsOn) gcode.push(`${toolOff}         ; Tool off`);
+            toolIsOn = false;
+            gcode.push(`G0 Z${safeZ}           ; Pen up`);
+        };
+        const penDown = (z) => {
+            gcode.push(`G1 Z${z} F${plungeFeed}   ; Pen down`);
+            if (toolPerPath && toolOn) gcode.push(`${toolOn}         ; Tool on`);
+            toolIsOn = true;
+        };
+
+        let position = { x: 0, y: 0 };
+
+        for (const group of groups) {
+            if (group.name !== null) {
+                gcode.push(`; ===== Layer ${group.name} =====`);
+                gcode.push('');
+            }
+
+            let paths = group.entities.map(entity => this.getEntityPath(entity)).filter(path => path);
+            if (compensated(group)) {
+                // Join touching entities first so outlines drawn as separate lines are offset as one contour
+                const lost = [];
+                paths = this.compensatePaths(this.chainPaths(paths, position), group.operation, this.getCutWidth(-group.depth) / 2, lost);
+                skipped.push(...lost.map(points => ({ layer: group.name, points })));
+            }
+            const pocket = group.operation === 'pocket';
+            if (pocket) {
+                paths = this.pocketPaths(this.chainPaths(paths, position), this.getCutWidth(-group.depth) / 2);
+            } else if (optimize) {
+                paths = this.chainPaths(paths, position);
+            }
+
+            // Pockets clear everything at one depth before stepping down; profiles finish each path first
+            const passes = Array.from({ length: group.passes }, (_, k) => k + 1);
+            const jobs = pocket
+                ? passes.flatMap(pass => paths.map(path => ({ path, pass })))
+                : paths.flatMap(path => passes.map(pass => ({ path, pass })));
+
+            const tabZ = formatZ(-group.depth + this.cam.tabHeight);
+            const tabs = new Map(tabbed && !pocket
+                ? paths.filter(path => path.closed).map(path => [path, this.getTabIntervals(path, this.getCutWidth(-group.depth))])
+                : []);
+
+            const emitMoves = (points) => {
+                let previous = points[0];
+                for (const point of points.slice(1)) {
+                    if (point.arc) {
+                        const { cx, cy, clockwise } = point.arc;
+                        gcode.push(`${clockwise ? 'G2' : 'G3'} X${point.x.toFixed(3)} Y${point.y.toFixed(3)} ` +
+                            `I${this.formatCoordinate(cx - previous.x)} J${this.formatCoordinate(cy - previous.y)} F${group.feed}`);
+                    } else {
+                        gcode.push(`G1 X${point.x.toFixed(3)} Y${point.y.toFixed(3)} F${group.feed}`);
+                    }
+                    previous = point;
+                }
+            };
+
+            jobs.forEach(({ path, pass }, index) => {
+                const start = path.points[0];
+                position = path.points[path.points.length - 1];
+
+                const cutZ = formatZ(-group.depth * pass / group.passes);
+                gcode.push(group.passes > 1 ? `; ${path.label} - pass ${pass}/${group.passes}` : `; ${path.label}`);
+
+                if (index > 0 && jobs[index - 1].path === path && path.closed) {
+                    gcode.push(`G1 Z${cutZ} F${plungeFeed}   ; Step down`);
+                } else {
+                    penUp();
+                    gcode.push(`G0 X${start.x.toFixed(3)} Y${start.y.toFixed(3)}`);
+                    penDown(cutZ);
+                }
+                const intervals = tabs.get(path) || [];
+                if (intervals.length > 0 && cutZ < tabZ) {
+                    for (const piece of this.splitPathAtTabs(path, intervals)) {
+                        if (piece.raised) gcode.push(`G1 Z${tabZ} F${plungeFeed}   ; Tab up`);
+                        const first = gcode.length + 1;
+                        emitMoves(piece.points);
+                        if (piece.raised) {
+                            for (let lineNumber = first; lineNumber <= gcode.length; lineNumber++) tabLines.add(lineNumber);
+                            gcode.push(`G1 Z${cutZ} F${plungeFeed}   ; Tab down`);
+                        }
+                    }
+                } else {
+                    emitMoves(path.points);
+                }
+
+                // Blank line after the last pass of a path
+                if (index + 1 === jobs.length || jobs[index + 1].path !== path) gcode.push('');
+            });
+        }
+
+        gcode.push('; Finish - lift pen and return to origin');
+        penUp();
+        if (toolOff && !toolPerPath) gcode.push(`${toolOff}         ; Tool off`);
+        gcode.push('G0 X0 Y0');
+        gcode.push('');
+        gcode.push('M30         ; Program end');
+        gcode.push('%');
+
+        const program = gcode.join('\n');
+        this.tabLines = { gcode: program, lines: tabLines };
+        this.skippedContours = skipped;
+        return program;
+    }
+
+    saveFile() {
+        const gcodeContent = document.getElementById('gcodeInput').value;
+        let filename = document.getElementById('filenameInput').value.trim();
+
+        // Ensure filename has extension
+        if (!filename) {
+            filename = 'untitled.gcode';
+        } else if (!filename.match(/\.(gcode|nc|ngc|txt)$/i)) {
+            filename += '.gcode';
+        }
+
+        this.downloadBlob(new Blob([gcodeContent], { type: 'text/plain' }), filename);
+
+        // Show feedback
+        this.showSaveNotification(filename);
+    }
+
+    showSaveNotification(filename) {
+        const indicator = document.getElementById('statusIndicator');
+        const originalText = indicator.textContent;
+        const originalClass = indicator.className;
+
+        indicator.textContent = `Saved: ${filename}`;
+        indicator.className = 'status-indicator';
+        indicator.style.background = 'rgba(0, 255, 136, 0.15)';
+        indicator.style.color = '#00ff88';
+        indicator.style.borderColor = 'rgba(0, 255, 136, 0.3)';
+
+        setTimeout(() => {
+            indicator.textContent = originalText;
+            indicator.className = originalClass;
+            indicator.style.background = '';
+            indicator.style.color = '';
+            indicator.style.borderColor = '';
+        }, 2000);
+    }
+
+    // ===== Toolpath Export =====
+
+    /**
+     * Download the parsed toolpath: 'svg' (cut and rapid groups), 'dxf'
+     * (cutting moves) or 'png' (the canvas view with a scale bar and stats).
+     */
+    exportToolpath(format) {
+        if (this.commands.length === 0) {
+            alert('Load a program with moves to export first.');
+            return;
+        }
+
+        const filename = this.getExportFilename(format);
+        if (format === 'png') {
+            this.getSnapshotCanvas().toBlob((blob) => {
+                this.downloadBlob(blob, filename);
+                this.showSaveNotification(filename);
+            }, 'image/png');
+            return;
+        }
+
+        const content = format === 'svg' ? this.getToolpathSvg() : this.getToolpathDxf();
+        this.downloadBlob(new Blob([content], { type: format === 'svg' ? 'image/svg+xml' : 'application/dxf' }), filename);
+        this.showSaveNotification(filename);
+    }
+
+    getExportFilename(extension) {
+        const name = document.getElementById('filenameInput').value.trim().replace(/\.(gcode|nc|ngc|txt)$/i, '');
+        return `${name || 'untitled'}.${extension}`;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Moves with an XY component, in program order: { cmd, start, end, arc }.
+     * Pure Z moves are left out.
+     */
+    getToolpathMoves() {
+        const moves = [];
+        let start = { x: 0, y: 0, z: 0 };
+        for (const cmd of this.commands) {
+            const end = { x: cmd.x, y: cmd.y, z: cmd.z };
+            const points = this.getCommandPoints(cmd);
+            if (points.some(p => Math.hypot(p.x - start.x, p.y - start.y) > 1e-9)) {
+                moves.push({ cmd, start, end, arc: this.getCommandArc(cmd, start) });
+            }
+            start = end;
+        }
+        return moves;
+    }
+
+    /**
+     * Center, radius and signed sweep of a G17 arc move, from its
+     * interpolated points; null for lines and arcs in other planes, which
+     * only export as points.
+     */
+    getCommandArc(cmd, start) {
+        if (!cmd.points || cmd.plane !== 'G17') return null;
+
+        const points = cmd.points;
+        const end = points[points.length - 1];
+        const full = Math.hypot(end.x - start.x, end.y - start.y) < 1e-9;
+        const center = full
+            ? this.getCircumcenter(start, points[Math.floor(points.length / 3)], points[Math.floor(points.length * 2 / 3)])
+            : this.getCircumcenter(start, points[Math.floor(points.length / 2)], end);
+        if (!Number.isFinite(center.x) || !Number.isFinite(center.y)) return null;
+
+        const clockwise = cmd.type === 'G2';
+        let sweep = Math.atan2(end.y - center.y, end.x - center.x) - Math.atan2(start.y - center.y, start.x - center.x);
+        if (full) sweep = clockwise ? -2 * Math.PI : 2 * Math.PI;
+        else if (clockwise && sweep >= 0) sweep -= 2 * Math.PI;
+        else if (!clockwise && sweep <= 0) sweep += 2 * Math.PI;
+
+        return { cx: center.x, cy: center.y, r: Math.hypot(start.x - center.x, start.y - center.y), sweep, clockwise };
+    }
+
+    /**
+     * Top view of the toolpath in millimeters (Y up, like the canvas), one
+     * path per continuous cut in a "Cuts" group and the rapids in a
+     * "Rapids" group. Groups are Inkscape layers, so the file imports back
+     * with a layer each. G17 arcs stay arcs.
+     */
+    getToolpathSvg() {
+        const margin = 5;
+        const left = this.minX - margin;
+        const top = this.maxY + margin;
+        const width = this.formatCoordinate(this.maxX - this.minX + 2 * margin);
+        const height = this.formatCoordinate(this.maxY - this.minY + 2 * margin);
+        const point = (p) => `${this.formatCoordinate(p.x - left)} ${this.formatCoordinate(top - p.y)}`;
+
+        // Y points down in SVG, so a clockwise G2 has sweep flag 0
+        const segment = ({ cmd, start, arc }) => {
+            if (!arc) return this.getCommandPoints(cmd).map(p => `L ${point(p)}`).join(' ');
+            const r = this.formatCoordinate(arc.r);
+            const flag = arc.clockwise ? 0 : 1;
+            if (Math.abs(arc.sweep) > 2 * Math.PI - 1e-9) {
+                const opposite = { x: 2 * arc.cx - start.x, y: 2 * arc.cy - start.y };
+                return `A ${r} ${r} 0 0 ${flag} ${point(opposite)} A ${r} ${r} 0 0 ${flag} ${point(start)}`;
+            }
+            return `A ${r} ${r} 0 ${Math.abs(arc.sweep) > Math.PI ? 1 : 0} ${flag} ${point(cmd)}`;
+        };
+
+        const cuts = [];
+        const rapids = [];
+        let run = null;
+        for (const move of this.getToolpathMoves()) {
+            if (move.cmd.type === 'G0') {
+                rapids.push(`M ${point(move.start)} ${segment(move)}`);
+                run = null;
+                continue;
+            }
+            if (!run) {
+                run = [`M ${point(move.start)}`];
+                cuts.push(run);
+            }
+            run.push(segment(move));
+        }
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"',
+            `     width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`,
+            `  <!-- Toolpath of ${this.getExportFilename('gcode').replace(/--/g, '-')}: X ${this.minX.toFixed(3)}..${this.maxX.toFixed(3)}, Y ${this.minY.toFixed(3)}..${this.maxY.toFixed(3)} mm -->`,
+            `  <g id="cuts" inkscape:groupmode="layer" inkscape:label="Cuts" fill="none" stroke="${this.colors.linear}" stroke-width="0.3" stroke-linecap="round" stroke-linejoin="round">`,
+            ...cuts.map(parts => `    <path d="${parts.join(' ')}"/>`),
+            '  </g>',
+            `  <g id="rapids" inkscape:groupmode="layer" inkscape:label="Rapids" fill="none" stroke="${this.colors.rapid}" stroke-width="0.2" stroke-dasharray="1 1">`,
+            ...(rapids.length > 0 ? [`    <path d="${rapids.join(' ')}"/>`] : []),
+            '  </g>',
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * The cutting moves as DXF LINE, ARC and CIRCLE entities in millimeters
+     * on a layer per cut depth (e.g. CUT_Z-1.5). Arcs outside the XY plane
+     * are written as their interpolated lines.
+     */
+    getToolpathDxf() {
+        const format = (value) => this.formatCoordinate(value);
+        const degrees = (radians) => format((radians * 180 / Math.PI + 360) % 360);
+        const entities = [];
+        const entity = (type, layer, codes) => {
+            entities.push('0', type, '8', layer);
+            for (const [code, value] of codes) entities.push(String(code), String(value));
+        };
+
+        for (const { cmd, start, arc } of this.getToolpathMoves()) {
+            if (cmd.type === 'G0') continue;
+            const layer = `CUT_Z${+cmd.z.toFixed(3)}`;
+
+            if (arc && Math.abs(arc.sweep) > 2 * Math.PI - 1e-9) {
+                entity('CIRCLE', layer, [[10, format(arc.cx)], [20, format(arc.cy)], [30, 0], [40, format(arc.r)]]);
+            } else if (arc) {
+                // DXF arcs run counterclockwise, so a G2 swaps its ends
+                const from = Math.atan2(start.y - arc.cy, start.x - arc.cx);
+                const to = from + arc.sweep;
+                entity('ARC', layer, [
+                    [10, format(arc.cx)], [20, format(arc.cy)], [30, 0], [40, format(arc.r)],
+                    [50, degrees(arc.clockwise ? to : from)], [51, degrees(arc.clockwise ? from : to)]
+                ]);
+            } else {
+                let previous = start;
+                for (const p of this.getCommandPoints(cmd)) {
+                    entity('LINE', layer, [
+                        [10, format(previous.x)], [20, format(previous.y)], [30, 0],
+                        [11, format(p.x)], [21, format(p.y)], [31, 0]
+                    ]);
+                    previous = p;
+                }
+            }
+        }
+
+        return [
+            '0', 'SECTION', '2', 'HEADER',
+            '9', '$INSUNITS', '70', '4',
+            '0', 'ENDSEC',
+            '0', 'SECTION', '2', 'ENTITIES',
+            ...entities,
+            '0', 'ENDSEC',
+            '0', 'EOF',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Copy of the canvas view with the program's stats in the top-left
+     * corner and, in the top view, a scale bar in the bottom-left.
+     */
+    getSnapshotCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.canvas, 0, 0);
+
+        const text = (id) => document.getElementById(id).textContent;
+        const lines = [
+            this.getExportFilename('gcode'),
+            `Size: ${text('bboxWidth')} × ${text('bboxHeight')}, Z ${text('bboxZ')}`,
+            `Moves: ${text('statG0')} rapid, ${text('statG1')} linear, ${text('statArcs')} arc`,
+            `Cycle time: ${text('statTotalTime')} (cutting ${text('statCutTime')}, rapids ${text('statRapidTime')})`,
+            `Rapid travel: ${text('statRapidTravel')}`,
+            `Machine: ${this.machine.name}`
+        ];
+
+        ctx.font = '12px "JetBrains Mono", monospace';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 20;
+        ctx.fillStyle = 'rgba(15, 15, 20, 0.8)';
+        ctx.fillRect(10, 10, boxWidth, lines.length * 18 + 12);
+        ctx.fillStyle = '#e0e0e0';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, 20, 18 + i * 18));
+
+        if (this.viewMode !== '3d') {
+            const length = this.getGridStep(100);
+            const barWidth = length * this.scale;
+            const x = 20;
+            const y = canvas.height - 24;
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 6);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x + barWidth, y);
+            ctx.lineTo(x + barWidth, y - 6);
+            ctx.stroke();
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${+length.toPrecision(6)} mm`, x + 4, y - 4);
+        }
+        return canvas;
+    }
+
+    loadSampleGcode() {
+        // Load the EKOLAHA plane G-code as sample
+        const sampleGcode = `%
+(EKOLAHA RC Foam Board Plane - Vectorized Outline)
+(Dimensions: 145.0mm height x 205.0mm width)
+(Generated from image contour extraction)
+(Feed Rate: 400 mm/min)
+(Origin: Bottom-left corner)
+
+G21         ; Set units to millimeters
+G90         ; Absolute positioning
+G17         ; XY plane selection
+
+; Rapid move to start position
+G0 X93.564 Y145.000
+
+; Cut outline
+G1 X109.333 Y145.000 F400
+G1 X204.650 Y37.886 F400
+G1 X199.744 Y0.344 F400
+G1 X5.607 Y1.033 F400
+G1 X0.000 Y22.043 F400
+G1 X1.752 Y39.952 F400
+G1 X93.564 Y145.000 F400
+
+; Return to origin
+G0 X0 Y0
+
+M30         ; Program end
+%`;
+
+        document.getElementById('gcodeInput').value = sampleGcode;
+        this.parseGcode({ fit: true });
+    }
+
+    /**
+     * Interpret the program text. The view is refit when `fit` is set (a
+     * newly loaded program) or the previous program had no moves; edits
+     * keep the user's zoom and pan.
+     */
+    parseGcode({ fit = false } = {}) {
+        const gcodeText = document.getElementById('gcodeInput').value;
+        const lines = gcodeText.split('\n');
+        const wasEmpty = this.commands.length === 0;
+
+        this.commands = [];
+        this.blocks = [];
+        this.diagnostics = [];
+        const state = this.createModalState();
+        let programEnded = false;
+        let lastCodeLine = 0;
+        let g0Count = 0;
+        let g1Count = 0;
+        let arcCount = 0;
+
+        // Reset bounding box
+        this.minX = Infinity;
+        this.maxX = -Infinity;
+        this.minY = Infinity;
+        this.maxY = -Infinity;
+        this.minZ = Infinity;
+        this.maxZ = -Infinity;
+
+        for (let i = 0; i < lines.length; i++) {
+            const words = this.tokenizeBlock(lines[i], i + 1);
+            if (words.length === 0) continue;
+
+            lastCodeLine = i + 1;
+            this.lintBlock(words, i + 1);
+            if (words.some(w => w.letter === 'M' && (w.value === 2 || w.value === 30))) programEnded = true;
+
+            const command = this.executeBlock(words, state, i + 1);
+
+            // Every executed block is kept for single-block stepping
+            this.blocks.push({
+                lineNumber: i + 1,
+                command,
+                stop: this.getProgramStop(words),
+                modal: this.snapshotModalState(state)
+            });
+
+            if (!command) continue;
+
+            // Update bounding box
+            for (const point of this.getCommandPoints(command)) {
+                this.minX = Math.min(this.minX, point.x);
+                this.maxX = Math.max(this.maxX, point.x);
+                this.minY = Math.min(this.minY, point.y);
+                this.maxY = Math.max(this.maxY, point.y);
+                this.minZ = Math.min(this.minZ, point.z);
+                this.maxZ = Math.max(this.maxZ, point.z);
+            }
+
+            // Store command
+            this.commands.push(command);
+
+            if (command.type === 'G0') g0Count++;
+            else if (command.type === 'G1') g1Count++;
+            else arcCount++;
+        }
+
+        if (lastCodeLine > 0 && !programEnded) {
+            this.addDiagnostic(lastCodeLine, 'warning', 'Program has no end (M2 or M30)');
+        }
+        this.checkMachineLimits();
+        this.markTabMoves(gcodeText);
+        this.updatePowerScale();
+        this.renderDiagnostics();
+
+        // Handle empty input
+        if (this.commands.length === 0) {
+            this.minX = 0;
+            this.maxX = 100;
+            this.minY = 0;
+            this.maxY = 100;
+            this.minZ = 0;
+            this.maxZ = 0;
+        }
+
+        // Update stats
+        document.getElementById('statLines').textContent = lines.length;
+        document.getElementById('statG0').textContent = g0Count;
+        document.getElementById('statG1').textContent = g1Count;
+        document.getElementById('statArcs').textContent = arcCount;
+        if (gcodeText !== this.optimizedText) this.rapidTravelBefore = null;
+        document.getElementById('statRapidTravel').textContent = `${this.getRapidTravel().toFixed(1)} mm`;
+        document.getElementById('statRapidBefore').textContent = this.rapidTravelBefore === null
+            ? '-'
+            : `${this.rapidTravelBefore.toFixed(1)} mm`;
+        document.getElementById('bboxX').textContent = `${this.minX.toFixed(1)} - ${this.maxX.toFixed(1)}`;
+        document.getElementById('bboxY').textContent = `${this.minY.toFixed(1)} - ${this.maxY.toFixed(1)}`;
+        document.getElementById('bboxWidth').textContent = `${(this.maxX - this.minX).toFixed(1)} mm`;
+        document.getElementById('bboxHeight').textContent = `${(this.maxY - this.minY).toFixed(1)} mm`;
+        document.getElementById('bboxZ').textContent = `${this.minZ.toFixed(1)} - ${this.maxZ.toFixed(1)}`;
+
+        this.estimateCycleTime();
+        this.invalidateStock();
+        if (fit || wasEmpty) this.calculateView();
+        this.reset();
+    }
+
+    // ===== Modal Interpreter =====
+
+    createModalState() {
+        return {
+            motion: 'G0',               // Active motion mode (G0/G1/G2/G3, null after G80)
+            distanceMode: 'G90',        // G90 absolute / G91 incremental
+            arcDistanceMode: 'G91.1',   // G90.1 absolute / G91.1 incremental IJK
+            units: 'G21',               // G20 inch / G21 millimeters
+            feedMode: 'G94',            // G93 inverse time / G94 units per minute
+            plane: 'G17',               // G17 XY / G18 ZX / G19 YZ
+            feedRate: 0,                // Programmed F word (active units)
+            spindle: 'M5',              // M3 on / M4 on with dynamic laser power / M5 off
+            spindleSpeed: 0,            // Programmed S word (spindle speed or laser power)
+            position: { x: 0, y: 0, z: 0 },  // Machine position in mm
+            offset: { x: 0, y: 0, z: 0 }     // G92 offset in mm
+        };
+    }
+
+    // ===== Diagnostics =====
+
+    addDiagnostic(lineNumber, severity, message, source = 'lint') {
+        this.diagnostics.push({ lineNumber, severity, message, source });
+    }
+
+    /**
+     * Word-level checks that need no modal state: unknown or unsupported
+     * words and codes, repeated words and conflicting modal groups.
+     */
+    lintBlock(words, lineNumber) {
+        const supportedG = [0, 1, 2, 3, 17, 18, 19, 20, 21, 40, 49, 80, 90, 91, 90.1, 91.1, 92, 92.1, 93, 94];
+        const unsimulatedG = {
+            4: 'Dwell G4 is not included in the cycle time',
+            28: 'Homing G28 is not simulated',
+            30: 'G30 return is not simulated',
+            41: 'Cutter compensation G41 is not supported; path is shown uncompensated',
+            42: 'Cutter compensation G42 is not supported; path is shown uncompensated',
+            43: 'Tool length offset G43 is not simulated',
+            53: 'Machine coordinates G53 are not simulated'
+        };
+        const supportedM = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 30, 60];
+        const modalGroups = [
+            [0, 1, 2, 3, 80],
+            [17, 18, 19],
+            [20, 21],
+            [90, 91],
+            [90.1, 91.1],
+            [93, 94]
+        ];
+
+        const seen = new Map();
+        const gCodes = [];
+
+        for (const { letter, value } of words) {
+            if (letter === 'G') {
+                gCodes.push(value);
+                if (unsimulatedG[value]) {
+                    this.addDiagnostic(lineNumber, 'warning', unsimulatedG[value]);
+                } else if ((value >= 54 && value <= 59) || (value >= 81 && value <= 89) || value === 61 || value === 64) {
+                    this.addDiagnostic(lineNumber, 'warning', `G${value} is not simulated`);
+                } else if (!supportedG.includes(value)) {
+                    this.addDiagnostic(lineNumber, 'error', `Unknown G-code G${value}`);
+                }
+            } else if (letter === 'M') {
+                if (!supportedM.includes(value)) {
+                    this.addDiagnostic(lineNumber, 'warning', `Unsupported M-code M${value}`);
+                }
+            } else if ('ABCUVW'.includes(letter)) {
+                this.addDiagnostic(lineNumber, 'warning', `Axis ${letter} is not simulated`);
+            } else if ('DEHLOQ'.includes(letter)) {
+                this.addDiagnostic(lineNumber, 'warning', `Word ${letter} is ignored`);
+            } else if (!'XYZIJKRFSTP'.includes(letter)) {
+                this.addDiagnostic(lineNumber, 'error', `Unknown word "${letter}"`);
+            }
+
+            if (letter !== 'G' && letter !== 'M') {
+                if (seen.has(letter)) {
+                    this.addDiagnostic(lineNumber, 'error', `Word ${letter} appears more than once`);
+                }
+                seen.set(letter, value);
+            }
+        }
+
+        for (const group of modalGroups) {
+            const inGroup = gCodes.filter(code => group.includes(code));
+            if (inGroup.length > 1) {
+                this.addDiagnostic(lineNumber, 'error', `Conflicting ${inGroup.map(code => 'G' + code).join(' and ')} in one block`);
+            }
+        }
+
+        if (gCodes.includes(92) && gCodes.some(code => [0, 1, 2, 3].includes(code))) {
+            this.addDiagnostic(lineNumber, 'error', 'G92 and a motion command both use the axis words');
+        }
+
+        if (seen.has('R') && (seen.has('I') || seen.has('J') || seen.has('K'))) {
+            this.addDiagnostic(lineNumber, 'warning', 'Both R and I/J/K given; R is used');
+        }
+    }
+
+    renderDiagnostics() {
+        const errors = this.diagnostics.filter(d => d.severity === 'error').length;
+        const warnings = this.diagnostics.length - errors;
+        const summary = document.getElementById('diagSummary');
+        summary.textContent = this.diagnostics.length === 0 ? 'OK' : `${errors} errors, ${warnings} warnings`;
+        summary.className = 'diag-summary' + (errors ? ' error' : (warnings ? ' warning' : ''));
+
+        // Keep the panel responsive on huge programs
+        const maxShown = 200;
+        const list = document.getElementById('diagList');
+        list.innerHTML = '';
+
+        for (const diagnostic of this.diagnostics.slice(0, maxShown)) {
+            const item = document.createElement('div');
+            item.className = `diag-item ${diagnostic.severity}`;
+            item.innerHTML = `
+                <span class="diag-line">L${diagnostic.lineNumber}</span>
+                <span class="diag-message">${this.escapeHtml(diagnostic.message)}</span>
+            `;
+            item.addEventListener('click', () => this.selectLine(diagnostic.lineNumber, true));
+            list.appendChild(item);
+        }
+
+        if (this.diagnostics.length > maxShown) {
+            const more = document.createElement('div');
+            more.className = 'diag-item';
+            more.textContent = `… ${this.diagnostics.length - maxShown} more`;
+            list.appendChild(more);
+        }
+
+        this.updateDiagnosticMarkers();
+    }
+
+    /**
+     * Worst severity per line with its messages, for the editor gutter.
+     */
+    getLineDiagnostics(lineNumber) {
+        const entries = this.diagnostics.filter(d => d.lineNumber === lineNumber);
+        if (entries.length === 0) return null;
+        return {
+            severity: entries.some(d => d.severity === 'error') ? 'error' : 'warning',
+            title: entries.map(d => `${d.severity}: ${d.message}`).join('\n')
+        };
+    }
+
+    applyDiagnosticMarker(lineDiv, lineNumber) {
+        const diagnostic = this.getLineDiagnostics(lineNumber);
+        lineDiv.classList.toggle('diag-error', diagnostic?.severity === 'error');
+        lineDiv.classList.toggle('diag-warning', diagnostic?.severity === 'warning');
+
+        const gutter = lineDiv.querySelector('.line-number');
+        if (gutter) gutter.title = diagnostic ? diagnostic.title : 'Click to toggle breakpoint';
+    }
+
+    updateDiagnosticMarkers() {
+        if (!this.editorLines) return;
+
+        for (const lineDiv of this.editorLines.querySelectorAll('.editor-line')) {
+            if (lineDiv.dataset.lineNum === undefined) continue;
+            this.applyDiagnosticMarker(lineDiv, parseInt(lineDiv.dataset.lineNum) + 1);
+        }
+    }
+
+    snapshotModalState(state) {
+        return {
+            motion: state.motion,
+            distanceMode: state.distanceMode,
+            units: state.units,
+            feedMode: state.feedMode,
+            plane: state.plane,
+            feedRate: state.feedRate,
+            spindle: state.spindle,
+            spindleSpeed: state.spindleSpeed
+        };
+    }
+
+    /**
+     * M0 (program stop) or M1 (optional stop) in a block, else null.
+     */
+    getProgramStop(words) {
+        for (const { letter, value } of words) {
+            if (letter === 'M' && (value === 0 || value === 1)) return 'M' + value;
+        }
+        return null;
+    }
+
+    /**
+     * Split a line into address words, dropping comments, block delete,
+     * line numbers and program delimiters. Letters are upper-cased.
+     * When `lineNumber` is given, malformed input is reported as diagnostics.
+     * A block with a malformed word is rejected whole, as a controller would:
+     * it gives no words, so none of it runs.
+     */
+    tokenizeBlock(line, lineNumber = null) {
+        const report = (severity, message) => {
+            if (lineNumber !== null) this.addDiagnostic(lineNumber, severity, message);
+        };
+
+        let code = line.replace(/\([^)]*\)/g, ' ').split(';')[0];
+        if (code.includes('(')) {
+            report('warning', 'Unclosed "(" comment');
+            code = code.split('(')[0];
+        }
+        code = code.trim();
+
+        if (!code || code.startsWith('%') || code.startsWith('/')) return [];
+
+        const words = [];
+        let malformed = false;
+        const tokenPattern = /([A-Z])\s*([-+]?[\d.]*)|([^A-Z\s]+)/gi;
+        let match;
+
+        while ((match = tokenPattern.exec(code)) !== null) {
+            if (match[3]) {
+                report('error', `Unexpected "${match[3]}"`);
+                malformed = true;
+                continue;
+            }
+
+            const letter = match[1].toUpperCase();
+            const raw = match[2];
+
+            if (!/^[-+]?(?:\d+\.?\d*|\.\d+)$/.test(raw)) {
+                // A letter glued to a number is usually a typo such as X1O for X10
+                const previous = words[words.length - 1];
+                const glued = previous && /[\d.]/.test(code[match.index - 1] || '');
+                report('error', glued
+                    ? `Malformed number "${previous.letter}${previous.raw}${match[0].trim()}"`
+                    : `Malformed number "${match[0].trim()}"`);
+                malformed = true;
+                continue;
+            }
+
+            if (letter === 'N') continue;
+            words.push({ letter, value: parseFloat(raw), raw });
+        }
+
+        return malformed ? [] : words;
+    }
+
+    /**
+     * Apply one block to the modal state. Mode changes are applied before
+     * motion, as on a real controller. Returns the normalized motion command
+     * (absolute machine mm, feed in mm/min) or null for non-motion blocks.
+     * Homing returns (G28/G30) and machine-coordinate moves (G53) are not
+     * simulated, so their axis words are not run as a move.
+     */
+    executeBlock(words, state, lineNumber) {
+        const axes = {};
+        const arcWords = {};
+        let motion = null;
+        let setOffset = false;
+        let unsimulatedMove = false;
+        let hasFeed = false;
+
+        for (const { letter, value } of words) {
+            if (letter === 'G') {
+                if (value === 0 || value === 1 || value === 2 || value === 3) motion = 'G' + value;
+                else if (value === 80) state.motion = null;
+                else if (value === 17 || value === 18 || value === 19) state.plane = 'G' + value;
+                else if (value === 20 || value === 21) state.units = 'G' + value;
+                else if (value === 90 || value === 91) state.distanceMode = 'G' + value;
+                else if (value === 90.1 || value === 91.1) state.arcDistanceMode = 'G' + value;
+                else if (value === 93 || value === 94) state.feedMode = 'G' + value;
+                else if (value === 92) setOffset = true;
+                else if (value === 92.1) state.offset = { x: 0, y: 0, z: 0 };
+                else if (value === 28 || value === 30 || value === 53) unsimulatedMove = true;
+            } else if (letter === 'X' || letter === 'Y' || letter === 'Z') {
+                axes[letter.toLowerCase()] = value;
+            } else if (letter === 'I' || letter === 'J' || letter === 'K' || letter === 'R') {
+                arcWords[letter.toLowerCase()] = value;
+            } else if (letter === 'F') {
+                state.feedRate = value;
+                hasFeed = true;
+            } else if (letter === 'S') {
+                state.spindleSpeed = value;
+            } else if (letter === 'M' && (value === 3 || value === 4 || value === 5)) {
+                state.spindle = 'M' + value;
+            }
+        }
+
+        const unitScale = state.units === 'G20' ? 25.4 : 1;
+        const hasAxes = Object.keys(axes).length > 0;
+
+        // G92: make the current position read as the given coordinates
+        if (setOffset) {
+            for (const axis of Object.keys(axes)) {
+                state.offset[axis] = state.position[axis] - axes[axis] * unitScale;
+            }
+            return null;
+        }
+
+        if (motion) state.motion = motion;
+        if (unsimulatedMove) return null;
+        if (hasAxes && !state.motion) {
+            this.addDiagnostic(lineNumber, 'error', 'Axis words with no active motion mode (after G80)');
+        }
+        if (!hasAxes || !state.motion) return null;
+
+        if (state.motion !== 'G0') {
+            if (state.feedMode === 'G93' && !hasFeed) {
+                this.addDiagnostic(lineNumber, 'error', `${state.motion} in inverse time mode (G93) needs an F word`);
+            } else if (state.feedMode === 'G94' && !(state.feedRate > 0)) {
+                this.addDiagnostic(lineNumber, 'error', `${state.motion} move with no feed rate set`);
+            }
+        }
+
+        // Resolve the target in machine millimeters
+        const start = { ...state.position };
+        const target = { ...state.position };
+        for (const axis of Object.keys(axes)) {
+            const value = axes[axis] * unitScale;
+            target[axis] = state.distanceMode === 'G91'
+                ? start[axis] + value
+                : value + state.offset[axis];
+        }
+        state.position = target;
+
+        const command = {
+            type: state.motion,
+            x: target.x,
+            y: target.y,
+            z: target.z,
+            zMove: null,
+            feedRate: state.feedMode === 'G94' ? state.feedRate * unitScale : 0,
+            spindle: state.spindle,
+            power: state.spindleSpeed,
+            lineNumber
+        };
+
+        if (command.type === 'G2' || command.type === 'G3') {
+            const scaled = (letter) => arcWords[letter] !== undefined ? arcWords[letter] * unitScale : null;
+            const offsets = { i: scaled('i'), j: scaled('j'), k: scaled('k') };
+
+            // Absolute arc centers (G90.1) become offsets from the start point
+            if (state.arcDistanceMode === 'G90.1') {
+                const axisFor = { i: 'x', j: 'y', k: 'z' };
+                for (const word of Object.keys(offsets)) {
+                    if (offsets[word] === null) continue;
+                    const axis = axisFor[word];
+                    offsets[word] = offsets[word] + state.offset[axis] - start[axis];
+                }
+            }
+
+            const points = this.interpolateArc(start, target, {
+                clockwise: command.type === 'G2',
+                plane: state.plane,
+                ...offsets,
+                r: scaled('r')
+            }, (message) => this.addDiagnostic(lineNumber, 'error', message));
+
+            // Skip arcs that cannot be resolved (e.g. R too small)
+            if (!points) return null;
+            command.points = points;
+            command.plane = state.plane;
+        }
+
+        // Pure Z moves are plunges or retracts
+        if (command.type === 'G0' || command.type === 'G1') {
+            const xyStill = Math.abs(target.x - start.x) < 1e-9 && Math.abs(target.y - start.y) < 1e-9;
+            if (xyStill && target.z < start.z) command.zMove = 'plunge';
+            else if (xyStill && target.z > start.z) command.zMove = 'retract';
+        }
+
+        // Inverse time feed: F is 1/minutes for this move
+        if (state.feedMode === 'G93' && state.feedRate > 0) {
+            command.feedRate = this.getPathLength(start, command.points || [target]) * state.feedRate;
+        }
+
+        return command;
+    }
+
+    getPathLength(start, points) {
+        let length = 0;
+        let prev = start;
+        for (const point of points) {
+            length += Math.hypot(point.x - prev.x, point.y - prev.y, (point.z || 0) - (prev.z || 0));
+            prev = point;
+        }
+        return length;
+    }
+
+    /**
+     * Tessellate a G2/G3 arc into points along the path (start excluded).
+     * Supports the IJK center form and the R radius form in any plane;
+     * the axis normal to the plane moves linearly (helical arcs).
+     * Returns null when the arc cannot be resolved; problems are passed to
+     * `onError` (an end point off the circle still draws, but is reported).
+     */
+    interpolateArc(start, end, { clockwise, plane, i, j, k, r }, onError = () => {}) {
+        // Map the selected plane onto generic (a, b) axes plus a linear axis
+        const axes = {
+            G17: { a: 'x', b: 'y', linear: 'z', offsetA: i, offsetB: j },
+            G18: { a: 'z', b: 'x', linear: 'y', offsetA: k, offsetB: i },
+            G19: { a: 'y', b: 'z', linear: 'x', offsetA: j, offsetB: k }
+        }[plane] || { a: 'x', b: 'y', linear: 'z', offsetA: i, offsetB: j };
+
+        const startA = start[axes.a];
+        const startB = start[axes.b];
+        const endA = end[axes.a];
+        const endB = end[axes.b];
+        let centerA, centerB;
+
+        if (r !== null) {
+            // Radius form: center lies on the perpendicular bisector of the chord
+            const dA = endA - startA;
+            const dB = endB - startB;
+            const chord = Math.hypot(dA, dB);
+            if (chord === 0) {
+                onError('R-form arc needs different start and end points (use I/J/K for a full circle)');
+                return null;
+            }
+            if (Math.abs(r) * 2 < chord - 1e-6) {
+                onError(`Arc radius R${Math.abs(r).toFixed(3)} is too small for a ${chord.toFixed(3)} mm chord`);
+                return null;
+            }
+
+            const h = Math.sqrt(Math.max(0, r * r - (chord / 2) * (chord / 2)));
+            // Negative R selects the arc longer than 180 degrees
+            const sign = (clockwise ? 1 : -1) * (r < 0 ? -1 : 1);
+            centerA = startA + dA / 2 + sign * h * dB / chord;
+            centerB = startB + dB / 2 - sign * h * dA / chord;
+        } else {
+            if (axes.offsetA === null && axes.offsetB === null) {
+                onError('Arc has no center offset for this plane and no R radius');
+                return null;
+            }
+            centerA = startA + (axes.offsetA || 0);
+            centerB = startB + (axes.offsetB || 0);
+        }
+
+        const radius = Math.hypot(startA - centerA, startB - centerB);
+        if (radius === 0) {
+            onError('Arc center is at the start point');
+            return null;
+        }
+
+        // Same tolerance idea as LinuxCNC: small absolute or relative error
+        const endRadius = Math.hypot(endA - centerA, endB - centerB);
+        const radiusError = Math.abs(endRadius - radius);
+        if (radiusError > Math.max(0.005, radius * 0.001)) {
+            onError(`Arc end point is ${radiusError.toFixed(4)} mm off the radius (start r=${radius.toFixed(3)}, end r=${endRadius.toFixed(3)})`);
+        }
+
+        const startAngle = Math.atan2(startB - centerB, startA - centerA);
+        const endAngle = Math.atan2(endB - centerB, endA - centerA);
+        let sweep = endAngle - startAngle;
+
+        if (clockwise) {
+            if (sweep >= -1e-9) sweep -= Math.PI * 2;
+        } else if (sweep <= 1e-9) {
+            sweep += Math.PI * 2;
+        }
+
+        // Same start and end point in R form is not a full circle
+        if (r !== null && Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-9) return null;
+
+        // Segment count from a 0.01mm chord tolerance, capped for huge arcs
+        const tolerance = Math.min(0.01, radius);
+        const maxStep = 2 * Math.acos(1 - tolerance / radius);
+        const segments = Math.min(720, Math.max(4, Math.ceil(Math.abs(sweep) / maxStep)));
+
+        const points = [];
+        for (let s = 1; s <= segments; s++) {
+            const t = s / segments;
+            const angle = startAngle + sweep * t;
+            const point = {};
+            point[axes.a] = centerA + radius * Math.cos(angle);
+            point[axes.b] = centerB + radius * Math.sin(angle);
+            point[axes.linear] = start[axes.linear] + (end[axes.linear] - start[axes.linear]) * t;
+            points.push(point);
+        }
+
+        // Land exactly on the programmed end point
+        points[points.length - 1] = { x: end.x, y: end.y, z: end.z };
+
+        return points;
+    }
+
+    getCommandPoints(cmd) {
+        return cmd.points || [{ x: cmd.x, y: cmd.y, z: cmd.z }];
+    }
+
+    // ===== Cycle Time Estimation =====
+
+    /**
+     * Estimate run time with a GRBL-style planner: every move is split into
+     * straight segments, junction speeds are limited by junction deviation,
+     * and each segment gets a trapezoidal velocity profile from a backward
+     * and forward pass. Stores `time` (seconds) and `profile` on each command.
+     */
+    estimateCycleTime() {
+        const { maxFeed, rapidRate, acceleration, junctionDeviation } = this.machine;
+        const segments = [];
+        let prev = { x: 0, y: 0, z: 0 };
+
+        for (const cmd of this.commands) {
+            cmd.time = 0;
+            cmd.profile = [];
+
+            // A cutting move without a feed rate would stall; assume rapid.
+            // Feeds above the machine maximum are capped, as the controller would.
+            const feed = cmd.type === 'G0' || !cmd.feedRate ? rapidRate : Math.min(cmd.feedRate, maxFeed, rapidRate);
+
+            this.getCommandPoints(cmd).forEach((point, pointIndex) => {
+                const from = prev;
+                const dx = point.x - from.x;
+                const dy = point.y - from.y;
+                const dz = point.z - from.z;
+                const length = Math.hypot(dx, dy, dz);
+                prev = point;
+
+                if (length < 1e-9) return;
+
+                const segment = {
+                    cmd,
+                    pointIndex,
+                    from,
+                    to: point,
+                    length,
+                    unit: { x: dx / length, y: dy / length, z: dz / length },
+                    cruiseSpeed: feed / 60,
+                    entrySpeed: 0,
+                    exitSpeed: 0,
+                    time: 0
+                };
+                segments.push(segment);
+                cmd.profile.push(segment);
+            });
+        }
+
+        // Maximum junction speed between consecutive segments
+        for (let i = 0; i < segments.length; i++) {
+            const curr = segments[i];
+            const last = segments[i - 1];
+            if (!last) {
+                curr.maxEntrySpeed = 0;
+                continue;
+            }
+
+            const cosTheta = -(last.unit.x * curr.unit.x + last.unit.y * curr.unit.y + last.unit.z * curr.unit.z);
+            let junctionSpeed;
+            if (cosTheta > 0.999999) {
+                junctionSpeed = 0; // Full reversal
+            } else if (cosTheta < -0.999999) {
+                junctionSpeed = Infinity; // Straight through
+            } else {
+                const sinHalfTheta = Math.sqrt(0.5 * (1 - cosTheta));
+                junctionSpeed = Math.sqrt(acceleration * junctionDeviation * sinHalfTheta / (1 - sinHalfTheta));
+            }
+            curr.maxEntrySpeed = Math.min(junctionSpeed, last.cruiseSpeed, curr.cruiseSpeed);
+        }
+
+        // Backward pass: make sure every segment can decelerate into the next
+        let nextEntry = 0;
+        for (let i = segments.length - 1; i >= 0; i--) {
+            const segment = segments[i];
+            segment.exitSpeed = nextEntry;
+            segment.entrySpeed = Math.min(
+                segment.maxEntrySpeed,
+                Math.sqrt(nextEntry * nextEntry + 2 * acceleration * segment.length)
+            );
+            nextEntry = segment.entrySpeed;
+        }
+
+        // Forward pass: limit entry speeds to what acceleration can reach
+        for (let i = 1; i < segments.length; i++) {
+            const last = segments[i - 1];
+            const reachable = Math.sqrt(last.entrySpeed * last.entrySpeed + 2 * acceleration * last.length);
+            segments[i].entrySpeed = Math.min(segments[i].entrySpeed, reachable);
+            last.exitSpeed = segments[i].entrySpeed;
+        }
+
+        // Integrate each trapezoid (or triangle when cruise is never reached)
+        let cuttingTime = 0;
+        let rapidTime = 0;
+        this.lineTimes = new Map();
+
+        for (const segment of segments) {
+            segment.time = this.getSegmentTime(segment, acceleration);
+            segment.cmd.time += segment.time;
+        }
+
+        let elapsed = 0;
+        for (const cmd of this.commands) {
+            cmd.startTime = elapsed;
+            elapsed += cmd.time;
+            if (cmd.type === 'G0') rapidTime += cmd.time;
+            else cuttingTime += cmd.time;
+            this.lineTimes.set(cmd.lineNumber, (this.lineTimes.get(cmd.lineNumber) || 0) + cmd.time);
+        }
+
+        this.cycleTime = { total: elapsed, cutting: cuttingTime, rapid: rapidTime };
+
+        // Blocks without motion take no time and sit between their neighbours
+        let blockTime = 0;
+        for (const block of this.blocks) {
+            block.startTime = block.command ? block.command.startTime : blockTime;
+            block.endTime = block.command ? block.command.startTime + block.command.time : blockTime;
+            blockTime = block.endTime;
+        }
+
+        document.getElementById('statTotalTime').textContent = this.formatDuration(this.cycleTime.total);
+        document.getElementById('statCutTime').textContent = this.formatDuration(cuttingTime);
+        document.getElementById('statRapidTime').textContent = this.formatDuration(rapidTime);
+
+        this.updateLineTimes();
+    }
+
+    getSegmentTime(segment, acceleration) {
+        const { length, entrySpeed: v0, exitSpeed: v1 } = segment;
+        const vmax = segment.cruiseSpeed;
+        const accelDistance = (vmax * vmax - v0 * v0) / (2 * acceleration);
+        const decelDistance = (vmax * vmax - v1 * v1) / (2 * acceleration);
+
+        if (accelDistance + decelDistance <= length) {
+            segment.peakSpeed = vmax;
+            return (vmax - v0) / acceleration
+                + (vmax - v1) / acceleration
+                + (length - accelDistance - decelDistance) / vmax;
+        }
+
+        const peak = Math.sqrt((2 * acceleration * length + v0 * v0 + v1 * v1) / 2);
+        segment.peakSpeed = peak;
+        return (peak - v0) / acceleration + (peak - v1) / acceleration;
+    }
+
+    /**
+     * Distance covered along a planned segment after `elapsed` seconds,
+     * following its accelerate / cruise / decelerate profile.
+     */
+    getSegmentDistance(segment, elapsed, acceleration) {
+        const { entrySpeed: v0, exitSpeed: v1, peakSpeed: vp, length } = segment;
+        const accelTime = (vp - v0) / acceleration;
+        const accelDistance = (vp * vp - v0 * v0) / (2 * acceleration);
+        const decelDistance = (vp * vp - v1 * v1) / (2 * acceleration);
+        const cruiseTime = (length - accelDistance - decelDistance) / vp;
+
+        if (elapsed <= accelTime) {
+            return v0 * elapsed + 0.5 * acceleration * elapsed * elapsed;
+        }
+        if (elapsed <= accelTime + cruiseTime) {
+            return accelDistance + vp * (elapsed - accelTime);
+        }
+
+        const t = Math.min(elapsed - accelTime - cruiseTime, (vp - v1) / acceleration);
+        return Math.min(length, length - decelDistance + vp * t - 0.5 * acceleration * t * t);
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds.toFixed(1)}s`;
+
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = Math.floor(seconds % 60);
+        const pad = (n) => String(n).padStart(2, '0');
+
+        return h > 0 ? `${h}h ${pad(m)}m ${pad(s)}s` : `${m}m ${pad(s)}s`;
+    }
+
+    // ===== Machine Profiles =====
+
+    initMachineProfiles() {
+        this.customProfiles = JSON.parse(localStorage.getItem('gcodeSimulator.machineProfiles') || '[]');
+
+        const activeName = localStorage.getItem('gcodeSimulator.activeMachine');
+        const active = this.getAllProfiles().find(profile => profile.name === activeName);
+        if (active) this.machine = { ...active };
+
+        this.machineFields = [
+            ['travelXInput', 'travelX', true],
+            ['travelYInput', 'travelY', true],
+            ['zMinInput', 'zMin', false],
+            ['zMaxInput', 'zMax', false],
+            ['maxFeedInput', 'maxFeed', true],
+            ['rapidRateInput', 'rapidRate', true],
+            ['accelInput', 'acceleration', true],
+            ['junctionInput', 'junctionDeviation', true]
+        ];
+
+        for (const [id, key, positive] of this.machineFields) {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || (positive && value <= 0)) {
+                    input.value = this.machine[key];
+                    return;
+                }
+                this.machine[key] = value;
+                this.applyMachineProfile();
+            });
+        }
+
+        document.getElementById('originSelect').addEventListener('change', (e) => {
+            this.machine.origin = e.target.value;
+            this.applyMachineProfile();
+        });
+        document.getElementById('machineSelect').addEventListener('change', (e) => {
+            const profile = this.getAllProfiles().find(p => p.name === e.target.value);
+            if (!profile) return;
+            this.machine = { ...profile };
+            localStorage.setItem('gcodeSimulator.activeMachine', profile.name);
+            this.applyMachineProfile();
+        });
+        document.getElementById('saveMachineBtn').addEventListener('click', () => this.saveMachineProfile());
+        document.getElementById('deleteMachineBtn').addEventListener('click', () => this.deleteMachineProfile());
+
+        this.renderMachineProfiles();
+    }
+
+    getAllProfiles() {
+        return [...this.builtinProfiles, ...this.customProfiles];
+    }
+
+    renderMachineProfiles() {
+        const select = document.getElementById('machineSelect');
+        select.innerHTML = '';
+        for (const profile of this.getAllProfiles()) {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        }
+        select.value = this.machine.name;
+
+        for (const [id, key] of this.machineFields) {
+            document.getElementById(id).value = this.machine[key];
+        }
+        document.getElementById('originSelect').value = this.machine.origin;
+
+        const isBuiltin = this.builtinProfiles.some(profile => profile.name === this.machine.name);
+        document.getElementById('deleteMachineBtn').disabled = isBuiltin;
+    }
+
+    /**
+     * Re-run everything that depends on the machine after a profile change.
+     */
+    applyMachineProfile() {
+        this.renderMachineProfiles();
+        this.estimateCycleTime();
+
+        this.diagnostics = this.diagnostics.filter(d => d.source !== 'limits');
+        this.checkMachineLimits();
+        this.renderDiagnostics();
+
+        this.seekTo(this.simTime);
+    }
+
+    saveMachineProfile() {
+        const isBuiltin = this.builtinProfiles.some(profile => profile.name === this.machine.name);
+        let name = prompt('Save machine profile as:', isBuiltin ? `${this.machine.name} (custom)` : this.machine.name);
+        if (!name) return;
+        name = name.trim();
+
+        if (this.builtinProfiles.some(profile => profile.name === name)) {
+            alert('Built-in profiles cannot be overwritten. Please choose another name.');
+            return;
+        }
+
+        this.machine.name = name;
+        this.customProfiles = this.customProfiles.filter(profile => profile.name !== name);
+        this.customProfiles.push({ ...this.machine });
+        localStorage.setItem('gcodeSimulator.machineProfiles', JSON.stringify(this.customProfiles));
+        localStorage.setItem('gcodeSimulator.activeMachine', name);
+        this.renderMachineProfiles();
+        this.showSaveNotification(`${name} profile`);
+    }
+
+    deleteMachineProfile() {
+        const name = this.machine.name;
+        if (!this.customProfiles.some(profile => profile.name === name)) return;
+        if (!confirm(`Delete machine profile "${name}"?`)) return;
+
+        this.customProfiles = this.customProfiles.filter(profile => profile.name !== name);
+        localStorage.setItem('gcodeSimulator.machineProfiles', JSON.stringify(this.customProfiles));
+        localStorage.removeItem('gcodeSimulator.activeMachine');
+        this.machine = { ...this.builtinProfiles[0] };
+        this.applyMachineProfile();
+    }
+
+    /**
+     * Work envelope in program coordinates; the origin corner says where
+     * X0 Y0 sits on the bed.
+     */
+    getMachineEnvelope() {
+        const { travelX, travelY, zMin, zMax, origin } = this.machine;
+        const right = origin.endsWith('right');
+        const top = origin.startsWith('top');
+        return {
+            minX: right ? -travelX : 0,
+            maxX: right ? 0 : travelX,
+            minY: top ? -travelY : 0,
+            maxY: top ? 0 : travelY,
+            minZ: zMin,
+            maxZ: zMax
+        };
+    }
+
+    /**
+     * Soft-limit check: flag moves that leave the envelope or are
+     * programmed faster than the machine's maximum feed.
+     */
+    checkMachineLimits() {
+        const envelope = this.getMachineEnvelope();
+        const epsilon = 1e-6;
+
+        for (const cmd of this.commands) {
+            cmd.outOfBounds = false;
+
+            for (const point of this.getCommandPoints(cmd)) {
+                for (const axis of ['x', 'y', 'z']) {
+                    const min = envelope['min' + axis.toUpperCase()];
+                    const max = envelope['max' + axis.toUpperCase()];
+                    if (point[axis] < min - epsilon || point[axis] > max + epsilon) {
+                        const limit = point[axis] < min ? `< ${min}` : `> ${max}`;
+                        this.addDiagnostic(cmd.lineNumber, 'error',
+                            `Move leaves the ${this.machine.name} envelope (${axis.toUpperCase()} ${point[axis].toFixed(3)} ${limit})`, 'limits');
+                        cmd.outOfBounds = true;
+                        break;
+                    }
+                }
+                if (cmd.outOfBounds) break;
+            }
+
+            if (cmd.type !== 'G0' && cmd.feedRate > this.machine.maxFeed) {
+                this.addDiagnostic(cmd.lineNumber, 'warning',
+                    `Feed ${+cmd.feedRate.toFixed(1)} mm/min exceeds the machine maximum of ${this.machine.maxFeed}`, 'limits');
+            }
+        }
+    }
+
+    drawMachineBed() {
+        const ctx = this.ctx;
+        const envelope = this.getMachineEnvelope();
+        const corners = [
+            this.worldToCanvas(envelope.minX, envelope.minY),
+            this.worldToCanvas(envelope.maxX, envelope.minY),
+            this.worldToCanvas(envelope.maxX, envelope.maxY),
+            this.worldToCanvas(envelope.minX, envelope.maxY)
+        ];
+
+        ctx.beginPath();
+        ctx.moveTo(corners[0].x, corners[0].y);
+        for (const corner of corners.slice(1)) ctx.lineTo(corner.x, corner.y);
+        ctx.closePath();
+
+        ctx.fillStyle = this.colors.bed;
+        ctx.fill();
+        ctx.strokeStyle = this.colors.bedBorder;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([8, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.bedBorder;
+        ctx.font = '11px monospace';
+        ctx.fillText(`${this.machine.name} (${this.machine.travelX}×${this.machine.travelY} mm)`, corners[3].x + 6, corners[3].y + 14);
+    }
+
+    drawLimitViolations() {
+        const ctx = this.ctx;
+        ctx.strokeStyle = this.colors.violation;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([]);
+
+        this.forEachSegment((cmd, from, to) => {
+            if (!cmd.outOfBounds) return;
+            const a = this.worldToCanvas(from.x, from.y, from.z);
+            const b = this.worldToCanvas(to.x, to.y, to.z);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        });
+    }
+
+    // ===== Tool & Swept Area =====
+
+    bindToolInputs() {
+        const typeSelect = document.getElementById('toolTypeSelect');
+        const fields = [['toolDiameterInput', 'diameter'], ['toolAngleInput', 'angle'], ['kerfInput', 'kerf']];
+
+        const refresh = () => {
+            typeSelect.value = this.tool.type;
+            for (const [id, key] of fields) {
+                document.getElementById(id).value = this.tool[key];
+            }
+            document.getElementById('toolDiameterInput').disabled = this.tool.type === 'laser';
+            document.getElementById('toolAngleInput').disabled = this.tool.type !== 'vbit';
+            document.getElementById('kerfInput').disabled = this.tool.type !== 'laser';
+        };
+
+        typeSelect.addEventListener('change', () => {
+            this.tool.type = typeSelect.value;
+            refresh();
+            this.invalidateStock();
+            this.draw();
+        });
+        for (const [id, key] of fields) {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!(value > 0) || (key === 'angle' && value >= 180)) {
+                    input.value = this.tool[key];
+                    return;
+                }
+                this.tool[key] = value;
+                this.invalidateStock();
+                this.draw();
+            });
+        }
+
+        refresh();
+    }
+
+    /**
+     * Width of material the tool removes with its tip at height z,
+     * taking the top of the stock as Z0.
+     */
+    getCutWidth(z) {
+        const { type, diameter, angle, kerf } = this.tool;
+        if (type === 'laser') return kerf;
+
+        const depth = -z;
+        if (depth < 0) return 0;
+        const radius = diameter / 2;
+
+        if (type === 'ball') {
+            return depth >= radius ? diameter : 2 * Math.sqrt(depth * (2 * radius - depth));
+        }
+        if (type === 'vbit') {
+            return Math.min(diameter, 2 * depth * Math.tan(angle * Math.PI / 360));
+        }
+        return diameter;
+    }
+
+    /**
+     * Swept area mode: paint every cutting move at the real tool width.
+     * Moves are painted opaque on an offscreen layer which is then blended
+     * once, so overlapping passes read as one area of removed material and
+     * gaps between passes stay visible.
+     */
+    drawSweptArea() {
+        const programSegments = [];
+        this.forEachSegment((cmd, from, to) => {
+            if (cmd.type !== 'G0') programSegments.push([from, to]);
+        });
+
+        const historySegments = [];
+        for (let i = 1; i < this.pathHistory.length; i++) {
+            if (this.pathHistory[i].type !== 'G0') {
+                historySegments.push([this.pathHistory[i - 1], this.pathHistory[i]]);
+            }
+        }
+
+        this.drawSweptLayer(programSegments, 0.15);
+        this.drawSweptLayer(historySegments, 0.5);
+    }
+
+    drawSweptLayer(segments, alpha) {
+        if (segments.length === 0) return;
+
+        if (!this.sweptLayer) this.sweptLayer = document.createElement('canvas');
+        const layer = this.sweptLayer;
+        layer.width = this.canvas.width;
+        layer.height = this.canvas.height;
+
+        const lctx = layer.getContext('2d');
+        lctx.clearRect(0, 0, layer.width, layer.height);
+        lctx.strokeStyle = this.colors.swept;
+        lctx.fillStyle = this.colors.swept;
+        lctx.lineCap = 'round';
+        lctx.lineJoin = 'round';
+
+        for (const [from, to] of segments) {
+            // The deeper end sets the width, so plunges and ramps cut at full depth
+            const width = this.getCutWidth(Math.min(from.z, to.z)) * this.scale;
+            if (width <= 0) continue;
+
+            const a = this.worldToCanvas(from.x, from.y, from.z);
+            const b = this.worldToCanvas(to.x, to.y, to.z);
+
+            if (Math.hypot(b.x - a.x, b.y - a.y) < 0.5) {
+                lctx.beginPath();
+                lctx.arc(b.x, b.y, Math.max(width / 2, 0.5), 0, Math.PI * 2);
+                lctx.fill();
+            } else {
+                lctx.lineWidth = Math.max(width, 1);
+                lctx.beginPath();
+                lctx.moveTo(a.x, a.y);
+                lctx.lineTo(b.x, b.y);
+                lctx.stroke();
+            }
+        }
+
+        this.ctx.globalAlpha = alpha;
+        this.ctx.drawImage(layer, 0, 0);
+        this.ctx.globalAlpha = 1;
+    }
+
+    // ===== Stock Simulation =====
+
+    bindStockInputs() {
+        const autoCheck = document.getElementById('stockAutoCheck');
+        const fields = [
+            ['stockXInput', 'x'], ['stockYInput', 'y'],
+            ['stockWidthInput', 'width'], ['stockHeightInput', 'height'],
+            ['stockThicknessInput', 'thickness'], ['stockResolutionInput', 'resolution']
+        ];
+
+        autoCheck.checked = this.stock.autoSize;
+        autoCheck.addEventListener('change', () => {
+            // Start manual sizing from the fitted block
+            if (!autoCheck.checked) Object.assign(this.stock, this.getStockBounds());
+            this.stock.autoSize = autoCheck.checked;
+            this.invalidateStock();
+            this.draw();
+        });
+
+        for (const [id, key] of fields) {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                const positive = key !== 'x' && key !== 'y';
+                if (!Number.isFinite(value) || (positive && value <= 0)) {
+                    this.updateStockInputs();
+                    return;
+                }
+                this.stock[key] = value;
+                this.invalidateStock();
+                this.draw();
+            });
+        }
+    }
+
+    updateStockInputs() {
+        const bounds = this.getStockBounds();
+        const values = { ...this.stock, ...bounds };
+        for (const key of ['x', 'y', 'width', 'height']) {
+            const input = document.getElementById('stock' + key[0].toUpperCase() + key.slice(1) + 'Input');
+            input.value = +values[key].toFixed(2);
+            input.disabled = this.stock.autoSize;
+        }
+        document.getElementById('stockThicknessInput').value = this.stock.thickness;
+        document.getElementById('stockResolutionInput').value = this.stock.resolution;
+    }
+
+    /**
+     * Stock outline in XY: either as configured, or the program's bounding
+     * box grown by the tool radius plus a small margin.
+     */
+    getStockBounds() {
+        if (!this.stock.autoSize) {
+            const { x, y, width, height } = this.stock;
+            return { x, y, width, height };
+        }
+
+        const margin = this.tool.diameter / 2 + 2;
+        return {
+            x: this.minX - margin,
+            y: this.minY - margin,
+            width: this.maxX - this.minX + margin * 2,
+            height: this.maxY - this.minY + margin * 2
+        };
+    }
+
+    invalidateStock() {
+        this.heightmap = null;
+    }
+
+    createHeightmap() {
+        const { x, y, width, height } = this.getStockBounds();
+
+        // Coarsen the grid for large stock so a redraw stays interactive
+        const maxCells = 500000;
+        const cell = Math.max(this.stock.resolution, Math.sqrt(width * height / maxCells));
+        const cols = Math.max(1, Math.ceil(width / cell));
+        const rows = Math.max(1, Math.ceil(height / cell));
+
+        this.heightmap = {
+            x, y, cols, rows, cell,
+            data: new Float32Array(cols * rows),
+            history: null,      // pathHistory the map was cut from
+            applied: 0,         // pathHistory points already cut
+            dirty: true
+        };
+        this.updateStockInputs();
+    }
+
+    /**
+     * Bring the heightmap up to the current playback position. Points are
+     * cut incrementally as pathHistory grows; any rewind or seek replaces
+     * pathHistory, which restarts the cut from fresh stock.
+     */
+    updateStock() {
+        if (!this.heightmap) this.createHeightmap();
+        const hm = this.heightmap;
+
+        if (hm.history !== this.pathHistory || hm.applied > this.pathHistory.length) {
+            hm.data.fill(0);
+            hm.history = this.pathHistory;
+            hm.applied = 1;
+            hm.dirty = true;
+        }
+
+        for (; hm.applied < this.pathHistory.length; hm.applied++) {
+            this.cutStockSegment(this.pathHistory[hm.applied - 1], this.pathHistory[hm.applied]);
+        }
+
+        // The move in progress; cutting it again once it completes is harmless
+        const last = this.pathHistory[this.pathHistory.length - 1];
+        this.cutStockSegment(last, { x: this.toolX, y: this.toolY, z: this.toolZ });
+    }
+
+    cutStockSegment(from, to) {
+        // The stock never rises above Z0, so moves above it cut nothing
+        if (Math.min(from.z, to.z) >= 0) return;
+
+        const hm = this.heightmap;
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const steps = Math.max(1, Math.ceil(length / (hm.cell / 2)));
+
+        for (let step = 0; step <= steps; step++) {
+            const t = step / steps;
+            this.stampTool(
+                from.x + (to.x - from.x) * t,
+                from.y + (to.y - from.y) * t,
+                from.z + (to.z - from.z) * t
+            );
+        }
+    }
+
+    /**
+     * Lower every cell under the tool at (x, y, z) to the tool's bottom
+     * surface, down to the underside of the stock at most.
+     */
+    stampTool(x, y, z) {
+        const hm = this.heightmap;
+        const { type, diameter, angle, kerf } = this.tool;
+        const radius = (type === 'laser' ? kerf : diameter) / 2;
+        const reach = Math.max(radius, hm.cell / 2);
+        const vSlope = 1 / Math.tan(angle * Math.PI / 360);
+        const floor = -this.stock.thickness;
+
+        const i0 = Math.max(0, Math.floor((x - reach - hm.x) / hm.cell));
+        const i1 = Math.min(hm.cols - 1, Math.floor((x + reach - hm.x) / hm.cell));
+        const j0 = Math.max(0, Math.floor((y - reach - hm.y) / hm.cell));
+        const j1 = Math.min(hm.rows - 1, Math.floor((y + reach - hm.y) / hm.cell));
+
+        for (let j = j0; j <= j1; j++) {
+            const dy = hm.y + (j + 0.5) * hm.cell - y;
+            for (let i = i0; i <= i1; i++) {
+                const dx = hm.x + (i + 0.5) * hm.cell - x;
+                const d = Math.hypot(dx, dy);
+                if (d > reach) continue;
+
+                const r = Math.min(d, radius);
+                let bottom = z;
+                if (type === 'ball') bottom += radius - Math.sqrt(radius * radius - r * r);
+                else if (type === 'vbit') bottom += r * vSlope;
+
+                const k = j * hm.cols + i;
+                const height = Math.max(bottom, floor);
+                if (height < hm.data[k]) {
+                    hm.data[k] = height;
+                    hm.dirty = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Cell color: tinted by depth and lit from the upper left using the
+     * surface normal, so walls and step-downs stand out.
+     */
+    getStockColor(i, j) {
+        const hm = this.heightmap;
+        const at = (ci, cj) => hm.data[Math.min(hm.rows - 1, Math.max(0, cj)) * hm.cols + Math.min(hm.cols - 1, Math.max(0, ci))];
+
+        const dzdx = (at(i + 1, j) - at(i - 1, j)) / (2 * hm.cell);
+        const dzdy = (at(i, j + 1) - at(i, j - 1)) / (2 * hm.cell);
+        const normalLength = Math.hypot(dzdx, dzdy, 1);
+        const light = (-dzdx * -0.5 + -dzdy * 0.5 + 0.7) / (normalLength * Math.hypot(0.5, 0.5, 0.7));
+        const brightness = 0.35 + 0.65 * Math.max(0, light);
+
+        const t = Math.min(1, -at(i, j) / this.stock.thickness);
+        const { stockTop, stockFloor } = this.colors;
+        return stockTop.map((top, c) => Math.round((top + (stockFloor[c] - top) * t) * brightness));
+    }
+
+    renderStockImage() {
+        const hm = this.heightmap;
+        if (!this.stockImage) this.stockImage = document.createElement('canvas');
+        this.stockImage.width = hm.cols;
+        this.stockImage.height = hm.rows;
+
+        const ictx = this.stockImage.getContext('2d');
+        const image = ictx.createImageData(hm.cols, hm.rows);
+        let removed = 0;
+
+        for (let j = 0; j < hm.rows; j++) {
+            for (let i = 0; i < hm.cols; i++) {
+                const [r, g, b] = this.getStockColor(i, j);
+                const p = ((hm.rows - 1 - j) * hm.cols + i) * 4;   // image rows run top down
+                image.data[p] = r;
+                image.data[p + 1] = g;
+                image.data[p + 2] = b;
+                image.data[p + 3] = 255;
+                removed -= hm.data[j * hm.cols + i];
+            }
+        }
+        ictx.putImageData(image, 0, 0);
+
+        const volume = removed * hm.cell * hm.cell / 1000;
+        document.getElementById('stockRemoved').textContent = `${volume.toFixed(2)} cm³`;
+        hm.dirty = false;
+    }
+
+    drawStock() {
+        this.updateStock();
+        const hm = this.heightmap;
+        if (hm.dirty) this.renderStockImage();
+
+        if (this.viewMode === '3d') {
+            this.drawStockMesh();
+            return;
+        }
+
+        const ctx = this.ctx;
+        const topLeft = this.worldToCanvas(hm.x, hm.y + hm.rows * hm.cell);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.stockImage, topLeft.x, topLeft.y, hm.cols * hm.cell * this.scale, hm.rows * hm.cell * this.scale);
+        ctx.imageSmoothingEnabled = true;
+    }
+
+    /**
+     * 3D view: a downsampled mesh of the heightmap, painted back to front.
+     */
+    drawStockMesh() {
+        const ctx = this.ctx;
+        const hm = this.heightmap;
+        const step = Math.max(1, Math.ceil(Math.max(hm.cols, hm.rows) / 120));
+        const vertex = (i, j) => {
+            const ci = Math.min(i, hm.cols - 1);
+            const cj = Math.min(j, hm.rows - 1);
+            return this.worldToCanvas(hm.x + i * hm.cell, hm.y + j * hm.cell, hm.data[cj * hm.cols + ci]);
+        };
+
+        const quads = [];
+        const { yaw } = this.view3d;
+        for (let j = 0; j < hm.rows; j += step) {
+            for (let i = 0; i < hm.cols; i += step) {
+                const cx = hm.x + (i + step / 2) * hm.cell;
+                const cy = hm.y + (j + step / 2) * hm.cell;
+                // Distance into the screen, matching the rotation in projectPoint
+                const depth = cx * Math.sin(yaw) + cy * Math.cos(yaw);
+                quads.push({ i, j, depth });
+            }
+        }
+        quads.sort((a, b) => b.depth - a.depth);
+
+        for (const { i, j } of quads) {
+            const corners = [
+                vertex(i, j), vertex(i + step, j),
+                vertex(i + step, j + step), vertex(i, j + step)
+            ];
+            const [r, g, b] = this.getStockColor(i, j);
+            ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+            ctx.strokeStyle = ctx.fillStyle;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(corners[0].x, corners[0].y);
+            for (const corner of corners.slice(1)) ctx.lineTo(corner.x, corner.y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        document.getElementById('viewXyBtn').classList.toggle('active', mode === 'xy');
+        document.getElementById('view3dBtn').classList.toggle('active', mode === '3d');
+        this.calculateView();
+        this.draw();
+    }
+
+    rotateView(dx, dy) {
+        // Keep the bounding box center where it is on screen while rotating
+        const cx = (this.minX + this.maxX) / 2;
+        const cy = (this.minY + this.maxY) / 2;
+        const cz = (this.minZ + this.maxZ) / 2;
+        const anchor = this.worldToCanvas(cx, cy, cz);
+
+        // Keep elevation between edge-on and straight down
+        this.view3d.yaw -= dx * 0.01;
+        this.view3d.elevation = Math.min(Math.PI / 2, Math.max(0.05, this.view3d.elevation + dy * 0.01));
+
+        const p = this.projectPoint(cx, cy, cz);
+        this.offsetX = anchor.x - p.x * this.scale;
+        this.offsetY = this.canvas.height - anchor.y - p.y * this.scale;
+
+        this.draw();
+    }
+
+    // ===== Pan & Zoom =====
+
+    getCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * Scale the view by `factor`, keeping the canvas point (x, y) fixed.
+     */
+    zoomAt(x, y, factor) {
+        const newScale = Math.min(1e5, Math.max(1e-3, this.scale * factor));
+        const px = (x - this.offsetX) / this.scale;
+        const py = (this.canvas.height - y - this.offsetY) / this.scale;
+
+        this.scale = newScale;
+        this.offsetX = x - px * newScale;
+        this.offsetY = this.canvas.height - y - py * newScale;
+        this.draw();
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        const point = this.getCanvasPoint(event);
+        this.zoomAt(point.x, point.y, Math.pow(1.0015, -event.deltaY));
+    }
+
+    setBoxZoomArmed(armed) {
+        this.boxZoomArmed = armed;
+        document.getElementById('zoomBoxBtn').classList.toggle('active', armed);
+        this.canvas.classList.toggle('box-zoom', armed);
+    }
+
+    startCanvasDrag(event) {
+        const point = this.getCanvasPoint(event);
+        let mode = 'pan';
+        if (event.shiftKey || this.boxZoomArmed) mode = 'box';
+        else if (this.viewMode === '3d' && event.button === 0) mode = 'rotate';
+
+        this.drag = { mode, startX: point.x, startY: point.y, x: point.x, y: point.y, moved: false };
+    }
+
+    updateCanvasDrag(event) {
+        if (!this.drag) return;
+
+        const point = this.getCanvasPoint(event);
+        const dx = point.x - this.drag.x;
+        const dy = point.y - this.drag.y;
+        this.drag.x = point.x;
+        this.drag.y = point.y;
+        if (Math.abs(point.x - this.drag.startX) + Math.abs(point.y - this.drag.startY) > 3) {
+            this.drag.moved = true;
+        }
+
+        if (this.drag.mode === 'rotate') {
+            this.rotateView(dx, dy);
+        } else if (this.drag.mode === 'pan') {
+            this.offsetX += dx;
+            this.offsetY -= dy;
+            this.draw();
+        } else {
+            this.draw();
+        }
+    }
+
+    endCanvasDrag() {
+        const drag = this.drag;
+        if (!drag) return;
+        this.drag = null;
+
+        // A click without movement places a tab, or selects the segment under the cursor
+        if (!drag.moved && drag.mode !== 'box' && this.tabPlacementArmed) {
+            this.toggleTabAt(drag.x, drag.y);
+            return;
+        }
+        if (!drag.moved && drag.mode !== 'box') {
+            const hit = this.findCommandAt(drag.x, drag.y);
+            this.selectLine(hit ? hit.lineNumber : null, true);
+            return;
+        }
+
+        if (drag.mode === 'box') {
+            if (drag.moved) this.zoomToCanvasRect(drag.startX, drag.startY, drag.x, drag.y);
+            this.setBoxZoomArmed(false);
+            this.draw();
+        }
+    }
 
-            // Skip comments and empty lines
-            if (!line || line.startsWith('(') || line.startsWith(';') || line.startsWith('%')) {
-                continue;
-            }
+    zoomToCanvasRect(x0, y0, x1, y1) {
+        const a = this.canvasToProjected(x0, y0);
+        const b = this.canvasToProjected(x1, y1);
+        this.fitProjectedBounds(
+            { minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x), minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y) },
+            0,
+            1
+        );
+        this.draw();
+    }
 
-            // Remove inline comments
-            const codePart = line.split(';')[0].trim();
-            if (!codePart) continue;
+    /**
+     * Fit the view to the moves of the selected line, at least 5mm across
+     * so a plunge or a short move does not zoom in without limit.
+     */
+    zoomToSelectedLine() {
+        if (!this.selectedLine) {
+            alert('Select a line in the editor or on the canvas first.');
+            return;
+        }
 
-            // Parse G0/G1 commands
-            const g0Match = codePart.match(/G0\s*/i);
-            const g1Match = codePart.match(/G1\s*/i);
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        this.forEachSegment((cmd, from, to) => {
+            if (cmd.lineNumber !== this.selectedLine) return;
+            for (const point of [from, to]) {
+                const p = this.projectPoint(point.x, point.y, point.z);
+                minX = Math.min(minX, p.x);
+                maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
+            }
+        });
+        if (minX === Infinity) {
+            alert(`Line ${this.selectedLine} has no moves to zoom to.`);
+            return;
+        }
 
-            if (g0Match || g1Match) {
-                const isRapid = !!g0Match;
+        const padX = Math.max(0, 5 - (maxX - minX)) / 2;
+        const padY = Math.max(0, 5 - (maxY - minY)) / 2;
+        this.fitProjectedBounds({ minX: minX - padX, maxX: maxX + padX, minY: minY - padY, maxY: maxY + padY }, this.padding, 0.9);
+        this.draw();
+    }
 
-                // Parse X coordinate
-                const xMatch = codePart.match(/X([-\d.]+)/i);
-                if (xMatch) currentX = parseFloat(xMatch[1]);
+    drawBoxZoom() {
+        if (!this.drag || this.drag.mode !== 'box' || !this.drag.moved) return;
 
-                // Parse Y coordinate
-                const yMatch = codePart.match(/Y([-\d.]+)/i);
-                if (yMatch) currentY = parseFloat(yMatch[1]);
+        const ctx = this.ctx;
+        const { startX, startY, x, y } = this.drag;
+        ctx.strokeStyle = this.colors.axis;
+        ctx.fillStyle = 'rgba(0, 212, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.fillRect(startX, startY, x - startX, y - startY);
+        ctx.strokeRect(startX, startY, x - startX, y - startY);
+        ctx.setLineDash([]);
+    }
 
-                // Parse feed rate
-                const fMatch = codePart.match(/F([\d.]+)/i);
-                if (fMatch) currentFeedRate = parseFloat(fMatch[1]);
+    /**
+     * Project a world point to view-plane coordinates (mm, Y up).
+     * XY mode is a plain top view; 3D mode rotates about Z by yaw and
+     * tilts by elevation (PI/2 = looking straight down).
+     */
+    projectPoint(x, y, z = 0) {
+        if (this.viewMode !== '3d') return { x, y };
 
-                // Update bounding box
-                this.minX = Math.min(this.minX, currentX);
-                this.maxX = Math.max(this.maxX, currentX);
-                this.minY = Math.min(this.minY, currentY);
-                this.maxY = Math.max(this.maxY, currentY);
+        const { yaw, elevation } = this.view3d;
+        const rx = x * Math.cos(yaw) - y * Math.sin(yaw);
+        const ry = x * Math.sin(yaw) + y * Math.cos(yaw);
 
-                // Store command
-                this.commands.push({
-                    type: isRapid ? 'G0' : 'G1',
-                    x: currentX,
-                    y: currentY,
-                    feedRate: currentFeedRate,
-                    lineNumber: i + 1
-                });
+        return {
+            x: rx,
+            y: ry * Math.sin(elevation) + z * Math.cos(elevation)
+        };
+    }
 
-                if (isRapid) g0Count++;
-                else g1Count++;
+    calculateView() {
+        // Fit the projected bounding box corners
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const x of [this.minX, this.maxX]) {
+            for (const y of [this.minY, this.maxY]) {
+                for (const z of [this.minZ, this.maxZ]) {
+                    const p = this.projectPoint(x, y, z);
+                    minX = Math.min(minX, p.x);
+                    maxX = Math.max(maxX, p.x);
+                    minY = Math.min(minY, p.y);
+                    maxY = Math.max(maxY, p.y);
+                }
             }
         }
 
-        // Handle empty input
-        if (this.commands.length === 0) {
-            this.minX = 0;
-            this.maxX = 100;
-            this.minY = 0;
-            this.maxY = 100;
-        }
-
-        // Update stats
-        document.getElementById('statLines').textContent = lines.length;
-        document.getElementById('statG0').textContent = g0Count;
-        document.getElementById('statG1').textContent = g1Count;
-        document.getElementById('bboxX').textContent = `${this.minX.toFixed(1)} - ${this.maxX.toFixed(1)}`;
-        document.getElementById('bboxY').textContent = `${this.minY.toFixed(1)} - ${this.maxY.toFixed(1)}`;
-        document.getElementById('bboxWidth').textContent = `${(this.maxX - this.minX).toFixed(1)} mm`;
-        document.getElementById('bboxHeight').textContent = `${(this.maxY - this.minY).toFixed(1)} mm`;
-
-        this.calculateView();
-        this.reset();
+        this.fitProjectedBounds({ minX, maxX, minY, maxY }, this.padding, 0.9);
     }
 
-    calculateView() {
-        const width = this.maxX - this.minX;
-        const height = this.maxY - this.minY;
+    /**
+     * Set scale and offset so the projected bounds fill the canvas
+     * (minus padding), centered.
+     */
+    fitProjectedBounds({ minX, maxX, minY, maxY }, padding, fill) {
+        const width = maxX - minX;
+        const height = maxY - minY;
 
         if (width === 0 && height === 0) return;
 
         // Calculate scale to fit canvas with padding
-        const scaleX = (this.canvas.width - this.padding * 2) / width;
-        const scaleY = (this.canvas.height - this.padding * 2) / height;
-        this.scale = Math.min(scaleX, scaleY) * 0.9;
+        const scaleX = (this.canvas.width - padding * 2) / width;
+        const scaleY = (this.canvas.height - padding * 2) / height;
+        this.scale = Math.min(scaleX, scaleY) * fill;
 
         // Calculate offset to center the drawing
-        this.offsetX = this.padding + (this.canvas.width - this.padding * 2 - width * this.scale) / 2 - this.minX * this.scale;
-        this.offsetY = this.padding + (this.canvas.height - this.padding * 2 - height * this.scale) / 2 - this.minY * this.scale;
+        this.offsetX = padding + (this.canvas.width - padding * 2 - width * this.scale) / 2 - minX * this.scale;
+        this.offsetY = padding + (this.canvas.height - padding * 2 - height * this.scale) / 2 - minY * this.scale;
     }
 
-    worldToCanvas(x, y) {
+    worldToCanvas(x, y, z = 0) {
+        const p = this.projectPoint(x, y, z);
         return {
-            x: x * this.scale + this.offsetX,
-            y: this.canvas.height - (y * this.scale + this.offsetY) // Flip Y for canvas
+            x: p.x * this.scale + this.offsetX,
+            y: this.canvas.height - (p.y * this.scale + this.offsetY) // Flip Y for canvas
         };
     }
 
-    canvasToWorld(canvasX, canvasY) {
+    canvasToProjected(canvasX, canvasY) {
         return {
             x: (canvasX - this.offsetX) / this.scale,
             y: (this.canvas.height - canvasY - this.offsetY) / this.scale
         };
     }
 
+    /**
+     * Inverse of worldToCanvas. In 3D mode the point is taken on the Z=0 plane.
+     */
+    canvasToWorld(canvasX, canvasY) {
+        const { x: px, y: py } = this.canvasToProjected(canvasX, canvasY);
+
+        if (this.viewMode !== '3d') return { x: px, y: py };
+
+        const { yaw, elevation } = this.view3d;
+        const ry = py / Math.sin(elevation);
+        return {
+            x: px * Math.cos(yaw) + ry * Math.sin(yaw),
+            y: -px * Math.sin(yaw) + ry * Math.cos(yaw)
+        };
+    }
+
     showCursorPosition(event) {
         const rect = this.canvas.getBoundingClientRect();
         const canvasX = event.clientX - rect.left;
         const canvasY = event.clientY - rect.top;
         const world = this.canvasToWorld(canvasX, canvasY);
-        document.getElementById('cursorPos').textContent = `X: ${world.x.toFixed(2)} Y: ${world.y.toFixed(2)}`;
+        const plane = this.viewMode === '3d' ? ' (Z0)' : '';
+        document.getElementById('cursorPos').textContent = `X: ${world.x.toFixed(2)} Y: ${world.y.toFixed(2)}${plane}`;
     }
 
     draw() {
@@ -573,38 +5717,88 @@ M30         ; Program end
         // Draw grid
         this.drawGrid();
 
+        // Draw machine bed
+        this.drawMachineBed();
+
         // Draw axes
         this.drawAxes();
 
-        // Draw complete path (preview)
-        this.drawCompletePath();
+        // Draw the simulated stock, or the complete path as a preview
+        if (this.renderMode === 'stock') {
+            this.drawStock();
+        } else {
+            this.drawCompletePath();
+        }
+
+        // Draw moves outside the machine envelope
+        this.drawLimitViolations();
+
+        // Draw holding tabs
+        this.drawTabs();
+
+        // Draw the area swept by the tool
+        if (this.renderMode === 'swept') {
+            this.drawSweptArea();
+        }
 
         // Draw animated path history
-        this.drawPathHistory();
+        if (this.renderMode !== 'stock') {
+            this.drawPathHistory();
+        }
+
+        // Draw segments linked to the hovered / selected editor line
+        this.drawLineHighlights();
 
         // Draw tool position
         this.drawTool();
+
+        // Draw box zoom selection
+        this.drawBoxZoom();
+    }
+
+    /**
+     * Smallest 1-2-5 grid step (mm) whose lines are at least `minPixels` apart.
+     */
+    getGridStep(minPixels) {
+        const raw = minPixels / this.scale;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        for (const m of [1, 2, 5, 10]) {
+            if (m * magnitude >= raw) return m * magnitude;
+        }
+        return 10 * magnitude;
     }
 
     drawGrid() {
         const ctx = this.ctx;
-        const gridSize = 10; // 10mm grid
+        const gridSize = this.getGridStep(15);
+        const majorEvery = 5;
+
+        // XY covers the visible canvas; 3D keeps the grid under the part
+        let bounds = { minX: this.minX, maxX: this.maxX, minY: this.minY, maxY: this.maxY };
+        if (this.viewMode !== '3d') {
+            const a = this.canvasToWorld(0, this.canvas.height);
+            const b = this.canvasToWorld(this.canvas.width, 0);
+            bounds = { minX: a.x, maxX: b.x, minY: a.y, maxY: b.y };
+        }
 
         // Calculate grid range
-        const startX = Math.floor(this.minX / gridSize) * gridSize;
-        const endX = Math.ceil(this.maxX / gridSize) * gridSize;
-        const startY = Math.floor(this.minY / gridSize) * gridSize;
-        const endY = Math.ceil(this.maxY / gridSize) * gridSize;
+        const startX = Math.floor(bounds.minX / gridSize);
+        const endX = Math.ceil(bounds.maxX / gridSize);
+        const startY = Math.floor(bounds.minY / gridSize);
+        const endY = Math.ceil(bounds.maxY / gridSize);
+
+        document.getElementById('gridSize').textContent = `Grid: ${+gridSize.toPrecision(3)} mm`;
+
+        if (endX - startX > 2000 || endY - startY > 2000) return;
 
         ctx.lineWidth = 1;
 
         // Draw vertical lines
-        for (let x = startX; x <= endX; x += gridSize) {
-            const isMajor = x % 50 === 0;
-            ctx.strokeStyle = isMajor ? this.colors.gridMajor : this.colors.grid;
+        for (let i = startX; i <= endX; i++) {
+            ctx.strokeStyle = i % majorEvery === 0 ? this.colors.gridMajor : this.colors.grid;
 
-            const start = this.worldToCanvas(x, startY);
-            const end = this.worldToCanvas(x, endY);
+            const start = this.worldToCanvas(i * gridSize, startY * gridSize);
+            const end = this.worldToCanvas(i * gridSize, endY * gridSize);
 
             ctx.beginPath();
             ctx.moveTo(start.x, start.y);
@@ -613,12 +5807,11 @@ M30         ; Program end
         }
 
         // Draw horizontal lines
-        for (let y = startY; y <= endY; y += gridSize) {
-            const isMajor = y % 50 === 0;
-            ctx.strokeStyle = isMajor ? this.colors.gridMajor : this.colors.grid;
+        for (let j = startY; j <= endY; j++) {
+            ctx.strokeStyle = j % majorEvery === 0 ? this.colors.gridMajor : this.colors.grid;
 
-            const start = this.worldToCanvas(startX, y);
-            const end = this.worldToCanvas(endX, y);
+            const start = this.worldToCanvas(startX * gridSize, j * gridSize);
+            const end = this.worldToCanvas(endX * gridSize, j * gridSize);
 
             ctx.beginPath();
             ctx.moveTo(start.x, start.y);
@@ -634,17 +5827,21 @@ M30         ; Program end
         ctx.strokeStyle = this.colors.axis;
         ctx.lineWidth = 2;
 
-        // X axis
-        ctx.beginPath();
-        ctx.moveTo(this.padding, origin.y);
-        ctx.lineTo(this.canvas.width - this.padding, origin.y);
-        ctx.stroke();
+        if (this.viewMode === '3d') {
+            this.drawAxes3d(origin);
+        } else {
+            // X axis
+            ctx.beginPath();
+            ctx.moveTo(this.padding, origin.y);
+            ctx.lineTo(this.canvas.width - this.padding, origin.y);
+            ctx.stroke();
 
-        // Y axis
-        ctx.beginPath();
-        ctx.moveTo(origin.x, this.padding);
-        ctx.lineTo(origin.x, this.canvas.height - this.padding);
-        ctx.stroke();
+            // Y axis
+            ctx.beginPath();
+            ctx.moveTo(origin.x, this.padding);
+            ctx.lineTo(origin.x, this.canvas.height - this.padding);
+            ctx.stroke();
+        }
 
         // Origin marker
         ctx.fillStyle = this.colors.axis;
@@ -655,23 +5852,116 @@ M30         ; Program end
         // Labels
         ctx.fillStyle = 'rgba(0, 212, 255, 0.8)';
         ctx.font = '12px monospace';
-        ctx.fillText('X', this.canvas.width - this.padding + 10, origin.y + 4);
-        ctx.fillText('Y', origin.x - 4, this.padding - 10);
+        if (this.viewMode !== '3d') {
+            ctx.fillText('X', this.canvas.width - this.padding + 10, origin.y + 4);
+            ctx.fillText('Y', origin.x - 4, this.padding - 10);
+        }
         ctx.fillText('0', origin.x + 8, origin.y + 15);
     }
 
+    drawAxes3d(origin) {
+        const ctx = this.ctx;
+
+        // Axis length relative to the part so it stays visible at any size
+        const length = Math.max(
+            this.maxX - this.minX,
+            this.maxY - this.minY,
+            this.maxZ - this.minZ,
+            10
+        ) * 0.25;
+
+        const axes = [
+            { label: 'X', end: this.worldToCanvas(length, 0, 0) },
+            { label: 'Y', end: this.worldToCanvas(0, length, 0) },
+            { label: 'Z', end: this.worldToCanvas(0, 0, length) }
+        ];
+
+        for (const axis of axes) {
+            ctx.beginPath();
+            ctx.moveTo(origin.x, origin.y);
+            ctx.lineTo(axis.end.x, axis.end.y);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = 'rgba(0, 212, 255, 0.8)';
+        ctx.font = '12px monospace';
+        for (const axis of axes) {
+            ctx.fillText(axis.label, axis.end.x + 6, axis.end.y + 4);
+        }
+    }
+
+    getMoveColor(move) {
+        if (move.zMove) return this.colors[move.zMove];
+        return move.type === 'G0' ? this.colors.rapid : this.colors.linear;
+    }
+
+    /**
+     * Laser power of a move: its S value while the spindle/laser is on.
+     */
+    getMovePower(move) {
+        return move.spindle === 'M5' ? 0 : move.power;
+    }
+
+    /**
+     * Shade cuts by power when the program's cutting moves use more than
+     * one S value (e.g. a raster engraving); a constant spindle speed keeps
+     * the usual colors.
+     */
+    updatePowerScale() {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const cmd of this.commands) {
+            if (cmd.type === 'G0' || cmd.zMove) continue;
+            const power = this.getMovePower(cmd);
+            min = Math.min(min, power);
+            max = Math.max(max, power);
+        }
+        this.maxPower = max > min && max > 0 ? max : 0;
+    }
+
+    /**
+     * 0-1 burn intensity of a cutting move, or null when cuts are not shaded.
+     */
+    getPowerIntensity(move) {
+        if (!this.maxPower || move.type === 'G0' || move.type === 'start' || move.zMove) return null;
+        return Math.max(0, Math.min(1, this.getMovePower(move) / this.maxPower));
+    }
+
+    /**
+     * Pure Z moves collapse to a point in the XY view, so mark them:
+     * a filled dot for a plunge, a ring for a retract.
+     */
+    drawZMoveMarker(move, radius) {
+        if (this.viewMode === '3d' || !move.zMove) return;
+
+        const ctx = this.ctx;
+        const pos = this.worldToCanvas(move.x, move.y);
+
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        if (move.zMove === 'plunge') {
+            ctx.fillStyle = this.colors.plunge;
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = this.colors.retract;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+        }
+    }
+
     drawCompletePath() {
         if (this.commands.length < 2) return;
 
         const ctx = this.ctx;
         ctx.globalAlpha = 0.2;
 
-        let prevPos = this.worldToCanvas(0, 0);
+        let prevPos = this.worldToCanvas(0, 0, 0);
 
         for (const cmd of this.commands) {
-            const pos = this.worldToCanvas(cmd.x, cmd.y);
-
-            ctx.strokeStyle = cmd.type === 'G0' ? this.colors.rapid : this.colors.linear;
+            const intensity = this.getPowerIntensity(cmd);
+            ctx.globalAlpha = intensity === null ? 0.2 : 0.05 + 0.95 * intensity;
+            ctx.strokeStyle = this.getMoveColor(cmd);
             ctx.lineWidth = cmd.type === 'G0' ? 1 : 2;
 
             if (cmd.type === 'G0') {
@@ -682,10 +5972,13 @@ M30         ; Program end
 
             ctx.beginPath();
             ctx.moveTo(prevPos.x, prevPos.y);
-            ctx.lineTo(pos.x, pos.y);
+            for (const point of this.getCommandPoints(cmd)) {
+                prevPos = this.worldToCanvas(point.x, point.y, point.z);
+                ctx.lineTo(prevPos.x, prevPos.y);
+            }
             ctx.stroke();
 
-            prevPos = pos;
+            this.drawZMoveMarker(cmd, 3);
         }
 
         ctx.setLineDash([]);
@@ -701,10 +5994,12 @@ M30         ; Program end
             const prev = this.pathHistory[i - 1];
             const curr = this.pathHistory[i];
 
-            const prevPos = this.worldToCanvas(prev.x, prev.y);
-            const currPos = this.worldToCanvas(curr.x, curr.y);
+            const prevPos = this.worldToCanvas(prev.x, prev.y, prev.z);
+            const currPos = this.worldToCanvas(curr.x, curr.y, curr.z);
 
-            ctx.strokeStyle = curr.type === 'G0' ? this.colors.rapid : this.colors.linear;
+            const intensity = this.getPowerIntensity(curr);
+            ctx.globalAlpha = intensity === null ? 1 : 0.1 + 0.9 * intensity;
+            ctx.strokeStyle = this.getMoveColor(curr);
             ctx.lineWidth = curr.type === 'G0' ? 2 : 3;
 
             if (curr.type === 'G0') {
@@ -717,14 +6012,40 @@ M30         ; Program end
             ctx.moveTo(prevPos.x, prevPos.y);
             ctx.lineTo(currPos.x, currPos.y);
             ctx.stroke();
+
+            this.drawZMoveMarker(curr, 4);
         }
 
         ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
     }
 
     drawTool() {
         const ctx = this.ctx;
-        const pos = this.worldToCanvas(this.toolX, this.toolY);
+        const pos = this.worldToCanvas(this.toolX, this.toolY, this.toolZ);
+
+        // In 3D, drop a line to the Z=0 plane to show the tool height
+        if (this.viewMode === '3d' && this.toolZ !== 0) {
+            const base = this.worldToCanvas(this.toolX, this.toolY, 0);
+            ctx.strokeStyle = 'rgba(255, 68, 102, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(base.x, base.y);
+            ctx.lineTo(pos.x, pos.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Tool footprint to scale
+        if (this.renderMode === 'swept') {
+            const radius = this.getCutWidth(Math.min(this.toolZ, 0)) * this.scale / 2;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
 
         // Glow effect
         const gradient = ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, 20);
@@ -759,16 +6080,23 @@ M30         ; Program end
         if (this.isPaused) {
             this.isPaused = false;
             this.isRunning = true;
+            this.skipBreakAt = this.blockIndex;
             this.updateStatus('Running');
-            this.animate();
+            document.getElementById('pauseBtn').disabled = false;
+            this.lastFrameTime = null;
+            this.animationId = requestAnimationFrame((t) => this.animate(t));
             return;
         }
 
+        const runToBlock = this.runToBlock;
         this.reset();
+        this.runToBlock = runToBlock;
+        this.skipBreakAt = null;
         this.isRunning = true;
         this.updateStatus('Running');
         document.getElementById('pauseBtn').disabled = false;
-        this.animate();
+        this.lastFrameTime = null;
+        this.animationId = requestAnimationFrame((t) => this.animate(t));
     }
 
     togglePause() {
@@ -787,11 +6115,8 @@ M30         ; Program end
     reset() {
         this.isRunning = false;
         this.isPaused = false;
-        this.currentIndex = 0;
-        this.toolX = 0;
-        this.toolY = 0;
-        this.feedRate = 0;
-        this.pathHistory = [{ x: 0, y: 0, type: 'start' }];
+        this.runToBlock = null;
+        this.rewind();
 
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
@@ -799,70 +6124,296 @@ M30         ; Program end
 
         this.updateStatus('Ready');
         document.getElementById('pauseBtn').disabled = true;
-        document.getElementById('progressBar').style.setProperty('--progress', '0%');
-        document.getElementById('progressText').textContent = '0%';
-        document.getElementById('statCurrentLine').textContent = '0';
+        this.updateProgress();
+        this.updateModalState();
 
         this.updateToolPosition();
         this.draw();
     }
 
-    animate() {
-        if (!this.isRunning || this.currentIndex >= this.commands.length) {
-            if (this.currentIndex >= this.commands.length) {
-                this.isRunning = false;
-                this.updateStatus('Complete');
-                document.getElementById('pauseBtn').disabled = true;
-            }
+    rewind() {
+        this.simTime = 0;
+        this.blockIndex = 0;
+        this.currentIndex = 0;
+        this.currentPointIndex = 0;
+        this.toolX = 0;
+        this.toolY = 0;
+        this.toolZ = 0;
+        this.feedRate = 0;
+        this.pathHistory = [{ x: 0, y: 0, z: 0, type: 'start' }];
+    }
+
+    animate(timestamp) {
+        if (!this.isRunning) return;
+
+        // Advance machine time by wall-clock time times the playback multiplier
+        let pauseReason = null;
+        if (this.lastFrameTime !== null) {
+            const elapsed = Math.min(0.1, (timestamp - this.lastFrameTime) / 1000);
+            pauseReason = this.advancePlayback(this.simTime + elapsed * this.timeScale);
+        }
+        this.lastFrameTime = timestamp;
+
+        this.updateToolPosition();
+        this.draw();
+
+        if (pauseReason) {
+            this.isRunning = false;
+            this.isPaused = true;
+            this.updateStatus(`Paused: ${pauseReason}`);
             return;
         }
 
-        const cmd = this.commands[this.currentIndex];
+        if (this.currentIndex >= this.commands.length && this.blockIndex >= this.blocks.length) {
+            this.isRunning = false;
+            this.updateStatus('Complete');
+            document.getElementById('pauseBtn').disabled = true;
+            return;
+        }
 
-        // Calculate step based on speed
-        const distance = Math.sqrt(
-            Math.pow(cmd.x - this.toolX, 2) +
-            Math.pow(cmd.y - this.toolY, 2)
-        );
+        this.animationId = requestAnimationFrame((t) => this.animate(t));
+    }
+
+    /**
+     * Move the simulation forward to machine time `time` (seconds), appending
+     * every point passed to pathHistory and interpolating the tool inside the
+     * current segment along its planned velocity profile.
+     */
+    advanceTo(time) {
+        const total = this.cycleTime ? this.cycleTime.total : 0;
+        this.simTime = Math.max(0, Math.min(time, total));
+
+        // Float sums can leave the last move a hair short of the total
+        const now = this.simTime >= total ? Infinity : this.simTime;
+
+        while (this.currentIndex < this.commands.length) {
+            const cmd = this.commands[this.currentIndex];
+            const points = this.getCommandPoints(cmd);
+
+            if (cmd.startTime + cmd.time <= now) {
+                while (this.currentPointIndex < points.length) {
+                    this.moveToolTo(points[this.currentPointIndex++], cmd);
+                }
+                this.currentIndex++;
+                this.currentPointIndex = 0;
+                continue;
+            }
 
-        const stepSize = (this.speed / 25) * (cmd.type === 'G0' ? 3 : 1);
+            let segmentStart = cmd.startTime;
+            for (const segment of cmd.profile) {
+                const finished = segmentStart + segment.time <= now;
 
-        if (distance < stepSize) {
-            // Reached target, move to next command
-            this.toolX = cmd.x;
-            this.toolY = cmd.y;
-            this.feedRate = cmd.feedRate;
+                // Emit the points passed before (and, if finished, including) this segment
+                const lastPoint = finished ? segment.pointIndex : segment.pointIndex - 1;
+                while (this.currentPointIndex <= lastPoint) {
+                    this.moveToolTo(points[this.currentPointIndex++], cmd);
+                }
 
-            this.pathHistory.push({
-                x: cmd.x,
-                y: cmd.y,
-                type: cmd.type
-            });
+                if (!finished) {
+                    const distance = this.getSegmentDistance(segment, now - segmentStart, this.machine.acceleration);
+                    const ratio = Math.max(0, Math.min(1, distance / segment.length));
+                    this.toolX = segment.from.x + (segment.to.x - segment.from.x) * ratio;
+                    this.toolY = segment.from.y + (segment.to.y - segment.from.y) * ratio;
+                    this.toolZ = segment.from.z + (segment.to.z - segment.from.z) * ratio;
+                    break;
+                }
+                segmentStart += segment.time;
+            }
+            break;
+        }
 
-            this.currentIndex++;
+        this.updateProgress();
+    }
 
-            // Update progress
-            const progress = (this.currentIndex / this.commands.length) * 100;
-            document.getElementById('progressBar').style.setProperty('--progress', `${progress}%`);
-            document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
-            document.getElementById('statCurrentLine').textContent = cmd.lineNumber;
-            document.getElementById('statFeedRate').textContent = this.feedRate;
-        } else {
-            // Interpolate position
-            const ratio = stepSize / distance;
-            this.toolX += (cmd.x - this.toolX) * ratio;
-            this.toolY += (cmd.y - this.toolY) * ratio;
+    /**
+     * Advance to `time` block by block, stopping early at a breakpoint
+     * (before the block runs), the run-to-line target, or after an M0 /
+     * enabled M1. Returns the pause reason, or null if `time` was reached.
+     */
+    advancePlayback(time) {
+        let pauseReason = null;
+
+        while (this.blockIndex < this.blocks.length) {
+            const block = this.blocks[this.blockIndex];
+            if (block.startTime > time) break;
+
+            if (this.blockIndex !== this.skipBreakAt) {
+                if (this.blockIndex === this.runToBlock) {
+                    this.runToBlock = null;
+                    pauseReason = `Reached line ${block.lineNumber}`;
+                } else if (this.hasBreakpoint(this.blockIndex)) {
+                    pauseReason = `Breakpoint line ${block.lineNumber}`;
+                }
+                if (pauseReason) {
+                    time = block.startTime;
+                    break;
+                }
+            }
+
+            // Still executing this block
+            if (block.endTime > time) break;
+
+            this.blockIndex++;
+            if (block.stop === 'M0' || (block.stop === 'M1' && this.optionalStop)) {
+                pauseReason = `${block.stop} line ${block.lineNumber}`;
+                time = block.endTime;
+                break;
+            }
+        }
+
+        this.advanceTo(time);
+        this.updateModalState();
+        return pauseReason;
+    }
+
+    /**
+     * Breakpoints on comments or blank lines fall through to the next block.
+     */
+    hasBreakpoint(blockIndex) {
+        const block = this.blocks[blockIndex];
+        const previousLine = blockIndex > 0 ? this.blocks[blockIndex - 1].lineNumber : 0;
+        for (const lineNumber of this.breakpoints) {
+            if (lineNumber > previousLine && lineNumber <= block.lineNumber) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Jump to any point in the program, rebuilding pathHistory from the start.
+     * `blockIndex` pins the block cursor when stepping between zero-time blocks.
+     */
+    seekTo(time, blockIndex = null) {
+        this.rewind();
+        this.advanceTo(time);
+
+        if (blockIndex === null) {
+            blockIndex = 0;
+            while (blockIndex < this.blocks.length && this.blocks[blockIndex].endTime < this.simTime) blockIndex++;
+        }
+        this.blockIndex = blockIndex;
+        this.updateModalState();
+
+        if (!this.isRunning) {
+            const complete = this.currentIndex >= this.commands.length && this.blockIndex >= this.blocks.length;
+            this.isPaused = !complete && (this.simTime > 0 || this.blockIndex > 0);
+            this.updateStatus(complete ? 'Complete' : (this.isPaused ? 'Paused' : 'Ready'));
+            document.getElementById('pauseBtn').disabled = !this.isPaused;
         }
 
         this.updateToolPosition();
         this.draw();
+    }
+
+    // ===== Single-Block Debugging =====
+
+    stopForStep() {
+        if (this.isRunning) this.togglePause();
+        if (this.commands.length === 0) this.parseGcode();
+    }
+
+    stepForward() {
+        this.stopForStep();
+        if (this.blockIndex >= this.blocks.length) return;
+
+        const block = this.blocks[this.blockIndex];
+        this.seekTo(block.endTime, this.blockIndex + 1);
+        if (this.isPaused) this.updateStatus(`Paused: Line ${block.lineNumber}`);
+    }
+
+    stepBack() {
+        this.stopForStep();
+        if (this.blockIndex === 0) return;
+
+        const block = this.blocks[this.blockIndex - 1];
+        this.seekTo(block.startTime, this.blockIndex - 1);
+        if (this.isPaused) this.updateStatus(`Paused: Before line ${block.lineNumber}`);
+    }
+
+    /**
+     * Run until the first block at or after `lineNumber`, restarting from
+     * the top if that block has already executed.
+     */
+    runToLine(lineNumber) {
+        const target = this.blocks.findIndex(block => block.lineNumber >= lineNumber);
+        if (target === -1) return;
+
+        if (this.isRunning) this.togglePause();
+        if (target < this.blockIndex || (target === this.blockIndex && this.isPaused)) {
+            this.reset();
+        }
+
+        this.runToBlock = target;
+        this.startSimulation();
+    }
+
+    toggleBreakpoint(lineNumber) {
+        if (this.breakpoints.has(lineNumber)) this.breakpoints.delete(lineNumber);
+        else this.breakpoints.add(lineNumber);
+
+        const lineDiv = this.getEditorLine(lineNumber);
+        if (lineDiv) lineDiv.classList.toggle('breakpoint', this.breakpoints.has(lineNumber));
+    }
+
+    updateModalState() {
+        const block = this.blocks[this.blockIndex - 1];
+        const modal = block ? block.modal : this.snapshotModalState(this.createModalState());
+        const unitLabel = modal.units === 'G20' ? 'in' : 'mm';
+
+        document.getElementById('modalMotion').textContent = modal.motion || 'G80';
+        document.getElementById('modalUnits').textContent = `${modal.units} (${unitLabel})`;
+        document.getElementById('modalDistance').textContent =
+            `${modal.distanceMode} (${modal.distanceMode === 'G91' ? 'incremental' : 'absolute'})`;
+        document.getElementById('modalPlane').textContent = modal.plane;
+        document.getElementById('modalFeed').textContent = modal.feedMode === 'G93'
+            ? `F${modal.feedRate} (inverse time)`
+            : `F${modal.feedRate} ${unitLabel}/min`;
+        document.getElementById('modalSpindle').textContent = `${modal.spindle} S${modal.spindleSpeed}`;
+        document.getElementById('modalBlock').textContent = block ? block.lineNumber : '-';
+    }
+
+    seekFromPointer(event) {
+        const rect = document.getElementById('progressBar').getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        this.seekTo(fraction * (this.cycleTime ? this.cycleTime.total : 0));
+    }
+
+    updateProgress() {
+        const total = this.cycleTime ? this.cycleTime.total : 0;
+        const done = this.currentIndex >= this.commands.length && this.commands.length > 0;
+        const progress = total > 0 ? (this.simTime / total) * 100 : (done ? 100 : 0);
+
+        document.getElementById('progressBar').style.setProperty('--progress', `${progress}%`);
+        document.getElementById('progressText').textContent = `${Math.round(progress)}%`;
+        document.getElementById('progressTime').textContent =
+            `${this.formatDuration(this.simTime)} / ${this.formatDuration(total)}`;
+
+        // Stats follow the block being executed (or the last one once finished)
+        const active = this.commands[Math.min(this.currentIndex, this.commands.length - 1)];
+        if (active && (this.simTime > 0 || this.currentIndex > 0)) {
+            this.feedRate = active.feedRate;
+            document.getElementById('statCurrentLine').textContent = active.lineNumber;
+            document.getElementById('statFeedRate').textContent = active.feedRate;
+            this.setActiveLine(active.lineNumber);
+        } else {
+            document.getElementById('statCurrentLine').textContent = '0';
+            document.getElementById('statFeedRate').textContent = '0';
+            this.setActiveLine(null);
+        }
+    }
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+    moveToolTo(point, cmd) {
+        this.toolX = point.x;
+        this.toolY = point.y;
+        this.toolZ = point.z;
+        this.pathHistory.push({
+            x: point.x, y: point.y, z: point.z, type: cmd.type, zMove: cmd.zMove, spindle: cmd.spindle, power: cmd.power
+        });
     }
 
     updateToolPosition() {
         document.getElementById('toolX').textContent = this.toolX.toFixed(3);
         document.getElementById('toolY').textContent = this.toolY.toFixed(3);
+        document.getElementById('toolZ').textContent = this.toolZ.toFixed(3);
     }
 
     updateStatus(status) {
@@ -872,7 +6423,7 @@ M30         ; Program end
 
         if (status === 'Running') {
             indicator.classList.add('running');
-        } else if (status === 'Paused') {
+        } else if (status.startsWith('Paused')) {
             indicator.classList.add('paused');
         }
     }
@@ -952,8 +6503,12 @@ M30         ; Program end
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
 
-        // Simple markdown-like formatting
+        // Simple markdown-like formatting, on escaped text so G-code comments
+        // and user text cannot add markup
         content = content
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
             .replace(/```gcode\n([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
             .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
             .replace(/`([^`]+)`/g, '<code>$1</code>');
@@ -969,30 +6524,46 @@ M30         ; Program end
     offerGcodeApplication(gcode) {
         const div = document.createElement('div');
         div.className = 'chat-message assistant';
-        div.innerHTML = `
-            <div class="message-content">
-                <button class="btn btn-success" style="width:100%;margin-top:8px" onclick="window.simulator.applyGcode(\`${gcode.replace(/`/g, '\\`')}\`)">
-                    ✓ Apply this G-code
-                </button>
-            </div>
-        `;
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        // Listeners keep the G-code in a closure: inlining it in an onclick
+        // attribute would run any ${...} in it as script
+        for (const [label, className, append] of [
+            ['✓ Apply this G-code', 'btn btn-success', false],
+            ['+ Append to current program', 'btn btn-secondary', true]
+        ]) {
+            const button = document.createElement('button');
+            button.className = className;
+            button.style.cssText = 'width:100%;margin-top:8px';
+            button.textContent = label;
+            button.addEventListener('click', () => this.applyGcode(gcode, append));
+            contentDiv.appendChild(button);
+        }
+
+        div.appendChild(contentDiv);
         this.chatMessages.appendChild(div);
         this.chatMessages.scrollTop = this.chatMessages.scrollHeight;
     }
 
-    applyGcode(gcode) {
-        const textarea = document.getElementById('gcodeInput');
-        textarea.value = gcode.trim();
-        this.parseGcode();
-        this.addChatMessage('G-code applied! Click Simulate to preview.', 'assistant');
+    applyGcode(gcode, append = false) {
+        if (append) {
+            this.appendGcode(gcode);
+        } else {
+            this.loadProgram(gcode.trim());
+        }
+        this.addChatMessage(`G-code ${append ? 'appended' : 'applied'}! Click Simulate to preview.`, 'assistant');
     }
 
     handleOfflineChat(message) {
         // Basic offline responses
         const lower = message.toLowerCase();
+        const text = this.parseTextCommand(message);
         let response = '';
 
-        if (lower.includes('circle')) {
+        if (text) {
+            response = `Engraving "${text.text}" at (${text.x}, ${text.y}), ${text.height}mm high:\n\`\`\`gcode\n${this.generateTextGcode(text)}\n\`\`\``;
+        } else if (lower.includes('circle')) {
             const match = message.match(/(\d+)\s*,\s*(\d+)/);
             const radiusMatch = message.match(/radius\s*(\d+)/i);
             const x = match ? match[1] : 50;
@@ -1012,7 +6583,7 @@ M30         ; Program end
         } else if (lower.includes('g0') || lower.includes('g1')) {
             response = `**G0** = Rapid move (tool up, fast travel)\n**G1** = Linear move (tool down, cutting/drawing)\n\nExample:\n\`G0 X10 Y10\` - Move quickly to (10,10)\n\`G1 X20 Y20 F400\` - Cut to (20,20) at 400mm/min`;
         } else {
-            response = `I'm running in offline mode. Deploy the Cloudflare Worker for full AI features!\n\nI can still help with:\n- "Add a circle at 50,50 radius 20"\n- "Add a rectangle"\n- "What is G0 and G1?"`;
+            response = `I'm running in offline mode. Deploy the Cloudflare Worker for full AI features!\n\nI can still help with:\n- "Add a circle at 50,50 radius 20"\n- "Add a rectangle"\n- "engrave 'PART 12' at 10,10 height 5"\n- "What is G0 and G1?"`;
         }
 
         this.addChatMessage(response, 'assistant');
@@ -1068,16 +6639,31 @@ M30         ; Program end
             const lineDiv = document.createElement('div');
             lineDiv.className = 'editor-line';
             lineDiv.dataset.lineNum = index;
+            lineDiv.classList.toggle('selected', index + 1 === this.selectedLine);
+            lineDiv.classList.toggle('hovered', index + 1 === this.hoverLine);
+            lineDiv.classList.toggle('active', index + 1 === this.activeLine);
+            lineDiv.classList.toggle('breakpoint', this.breakpoints.has(index + 1));
 
             // Syntax highlight
             const highlighted = this.highlightGcode(line);
 
+            const time = this.lineTimes.get(index + 1);
+
             lineDiv.innerHTML = `
                 <span class="line-number">${index + 1}</span>
                 <span class="line-content">${highlighted}</span>
+                <span class="line-time">${time ? this.formatDuration(time) : ''}</span>
                 <button class="line-edit-btn" title="Edit this line">✏️</button>
             `;
 
+            this.applyDiagnosticMarker(lineDiv, index + 1);
+
+            // Click the gutter to toggle a breakpoint
+            lineDiv.querySelector('.line-number').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleBreakpoint(index + 1);
+            });
+
             // Click to edit
             lineDiv.querySelector('.line-edit-btn').addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -1089,10 +6675,28 @@ M30         ; Program end
                 this.openLineEditModal(index, line);
             });
 
+            // Click / hover to highlight the line's segments on the canvas
+            lineDiv.addEventListener('click', () => {
+                this.selectLine(index + 1 === this.selectedLine ? null : index + 1, false);
+            });
+            lineDiv.addEventListener('mouseenter', () => this.setHoverLine(index + 1, false));
+            lineDiv.addEventListener('mouseleave', () => this.setHoverLine(null, false));
+
             this.editorLines.appendChild(lineDiv);
         });
     }
 
+    updateLineTimes() {
+        if (!this.editorLines) return;
+
+        for (const lineDiv of this.editorLines.querySelectorAll('.editor-line')) {
+            const timeSpan = lineDiv.querySelector('.line-time');
+            if (!timeSpan) continue;
+            const time = this.lineTimes.get(parseInt(lineDiv.dataset.lineNum) + 1);
+            timeSpan.textContent = time ? this.formatDuration(time) : '';
+        }
+    }
+
     highlightGcode(line) {
         // Comment
         if (line.trim().startsWith(';') || line.trim().startsWith('(')) {
@@ -1215,6 +6819,127 @@ M30         ; Program end
         // If no pattern matched, just append as comment
         return originalLine + ` ; ${instruction}`;
     }
+
+    // ===== Canvas <-> Editor Linking =====
+
+    /**
+     * Call `callback(cmd, from, to)` for every straight piece of the toolpath,
+     * arcs included as their tessellated chords.
+     */
+    forEachSegment(callback) {
+        let prev = { x: 0, y: 0, z: 0 };
+        for (const cmd of this.commands) {
+            for (const point of this.getCommandPoints(cmd)) {
+                callback(cmd, prev, point);
+                prev = point;
+            }
+        }
+    }
+
+    /**
+     * Nearest command within `tolerance` canvas pixels of (x, y), or null.
+     */
+    findCommandAt(x, y, tolerance = 6) {
+        let best = null;
+        let bestDistance = tolerance;
+
+        this.forEachSegment((cmd, from, to) => {
+            const a = this.worldToCanvas(from.x, from.y, from.z);
+            const b = this.worldToCanvas(to.x, to.y, to.z);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq));
+            const distance = Math.hypot(a.x + dx * t - x, a.y + dy * t - y);
+
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                best = cmd;
+            }
+        });
+
+        return best;
+    }
+
+    hoverAt(point) {
+        const hit = this.findCommandAt(point.x, point.y);
+        this.setHoverLine(hit ? hit.lineNumber : null, true);
+    }
+
+    getEditorLine(lineNumber) {
+        if (!this.editorLines || !lineNumber) return null;
+        return this.editorLines.querySelector(`.editor-line[data-line-num="${lineNumber - 1}"]`);
+    }
+
+    /**
+     * Move a CSS marker class from one editor line to another.
+     */
+    markEditorLine(className, oldLine, newLine, scroll) {
+        const oldDiv = this.getEditorLine(oldLine);
+        if (oldDiv) oldDiv.classList.remove(className);
+
+        const newDiv = this.getEditorLine(newLine);
+        if (newDiv) {
+            newDiv.classList.add(className);
+            if (scroll) newDiv.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    selectLine(lineNumber, fromCanvas) {
+        this.markEditorLine('selected', this.selectedLine, lineNumber, fromCanvas);
+        this.selectedLine = lineNumber;
+        this.draw();
+    }
+
+    setHoverLine(lineNumber, fromCanvas) {
+        if (lineNumber === this.hoverLine) return;
+        this.markEditorLine('hovered', this.hoverLine, lineNumber, fromCanvas);
+        this.hoverLine = lineNumber;
+        this.canvas.classList.toggle('over-segment', fromCanvas && lineNumber !== null);
+        this.draw();
+    }
+
+    setActiveLine(lineNumber) {
+        if (lineNumber === this.activeLine) return;
+        this.markEditorLine('active', this.activeLine, lineNumber, true);
+        this.activeLine = lineNumber;
+    }
+
+    drawLineHighlights() {
+        const ctx = this.ctx;
+
+        for (const [lineNumber, alpha, width] of [[this.hoverLine, 0.5, 4], [this.selectedLine, 1, 5]]) {
+            if (!lineNumber) continue;
+
+            ctx.globalAlpha = alpha;
+            ctx.strokeStyle = this.colors.highlight;
+            ctx.lineWidth = width;
+            ctx.setLineDash([]);
+            ctx.shadowColor = this.colors.axis;
+            ctx.shadowBlur = 8;
+
+            this.forEachSegment((cmd, from, to) => {
+                if (cmd.lineNumber !== lineNumber) return;
+
+                const a = this.worldToCanvas(from.x, from.y, from.z);
+                const b = this.worldToCanvas(to.x, to.y, to.z);
+                ctx.beginPath();
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                ctx.stroke();
+
+                // Zero-length XY moves (plunges in the top view) still get a mark
+                if (Math.hypot(b.x - a.x, b.y - a.y) < 1) {
+                    ctx.beginPath();
+                    ctx.arc(b.x, b.y, width + 2, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            });
+        }
+
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1;
+    }
 }
 
 // Initialize simulator when DOM is ready
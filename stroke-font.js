@@ -0,0 +1,158 @@
+/**
+ * Stroke font and text layout shared by the simulator (loaded as a plain
+ * script before simulator.js) and the chat worker (bundled as a module).
+ */
+
+/**
+ * Default text settings in mm (rotation in degrees), used by the text tool
+ * and for any option a chat request leaves out.
+ */
+const TEXT_DEFAULTS = { text: 'PART 1', height: 5, spacing: 1.5, x: 10, y: 10, rotation: 0, arcRadius: 0, depth: 0.5 };
+
+/**
+ * Single-stroke (Hershey-style) engraving font: [advance width, strokes] per
+ * character on a grid with a cap height of 10 and the baseline at 0.
+ * Strokes are separated by ';', their points by spaces. Lowercase letters
+ * engrave as capitals.
+ */
+const STROKE_FONT = {
+    ' ': [4, ''],
+    'A': [6, '0,0 3,10 6,0;1,3.5 5,3.5'],
+    'B': [6, '0,0 0,10 4,10 5.3,9.3 5.5,8 5.3,6 4,5 0,5;4,5 5.6,4.3 6,2.8 5.6,0.9 4.4,0 0,0'],
+    'C': [6, '6,8.5 5,9.7 3.5,10 2,9.7 0.7,8.6 0,6.5 0,3.5 0.7,1.4 2,0.3 3.5,0 5,0.3 6,1.5'],
+    'D': [6, '0,0 0,10 3,10 4.8,9.2 5.8,7.5 6,5 5.8,2.5 4.8,0.8 3,0 0,0'],
+    'E': [5.5, '5.5,10 0,10 0,0 5.5,0;0,5 4,5'],
+    'F': [5.5, '5.5,10 0,10 0,0;0,5 4,5'],
+    'G': [6, '6,8.5 5,9.7 3.5,10 2,9.7 0.7,8.6 0,6.5 0,3.5 0.7,1.4 2,0.3 3.5,0 5,0.3 6,1.5 6,4.5 3.5,4.5'],
+    'H': [6, '0,0 0,10;6,0 6,10;0,5 6,5'],
+    'I': [0, '0,0 0,10'],
+    'J': [5, '5,10 5,2.5 4.5,0.8 3.2,0 1.8,0 0.5,0.8 0,2.5'],
+    'K': [6, '0,0 0,10;6,10 0,3.5;2,5.3 6,0'],
+    'L': [5, '0,10 0,0 5,0'],
+    'M': [7, '0,0 0,10 3.5,3 7,10 7,0'],
+    'N': [6, '0,0 0,10 6,0 6,10'],
+    'O': [6.5, '3.25,10 1.5,9.5 0.4,8 0,5 0.4,2 1.5,0.5 3.25,0 5,0.5 6.1,2 6.5,5 6.1,8 5,9.5 3.25,10'],
+    'P': [6, '0,0 0,10 4,10 5.4,9.3 6,7.5 5.4,5.7 4,5 0,5'],
+    'Q': [6.5, '3.25,10 1.5,9.5 0.4,8 0,5 0.4,2 1.5,0.5 3.25,0 5,0.5 6.1,2 6.5,5 6.1,8 5,9.5 3.25,10;4,2.5 6.5,-0.5'],
+    'R': [6, '0,0 0,10 4,10 5.4,9.3 6,7.5 5.4,5.7 4,5 0,5;3.5,5 6,0'],
+    'S': [6, '6,8.5 5,9.7 3,10 1,9.7 0.2,8.7 0.2,6.8 1.2,5.8 4.8,4.3 5.8,3.2 6,1.6 5,0.3 3,0 1,0.3 0,1.5'],
+    'T': [6, '0,10 6,10;3,10 3,0'],
+    'U': [6, '0,10 0,3 0.5,1.2 1.8,0.2 3,0 4.2,0.2 5.5,1.2 6,3 6,10'],
+    'V': [6, '0,10 3,0 6,10'],
+    'W': [8, '0,10 2,0 4,7 6,0 8,10'],
+    'X': [6, '0,10 6,0;0,0 6,10'],
+    'Y': [6, '0,10 3,5 6,10;3,5 3,0'],
+    'Z': [6, '0,10 6,10 0,0 6,0'],
+    '0': [6, '3,10 1.4,9.4 0.4,7.8 0,5 0.4,2.2 1.4,0.6 3,0 4.6,0.6 5.6,2.2 6,5 5.6,7.8 4.6,9.4 3,10'],
+    '1': [2.5, '0,8 2.5,10 2.5,0'],
+    '2': [6, '0.2,8.2 1.2,9.5 3,10 4.8,9.5 5.8,8.2 5.8,6.5 4.8,5 0,0 6,0'],
+    '3': [6, '0.3,10 5.6,10 2.8,6 4,6 5.3,5.4 6,3.5 5.8,1.6 4.6,0.4 3,0 1.4,0.3 0,1.5'],
+    '4': [6, '4.5,0 4.5,10 0,3 6,3'],
+    '5': [6, '5.6,10 0.8,10 0.3,5.6 1.8,6.3 3.3,6.4 4.9,5.8 5.9,4.4 6,2.6 5.2,0.9 3.5,0 1.6,0.2 0,1.5'],
+    '6': [6, '5.5,9 4,10 2.5,10 1,9 0.2,7 0,4 0.4,1.6 1.6,0.3 3,0 4.4,0.3 5.6,1.6 6,3.3 5.6,5 4.4,6.1 3,6.4 1.6,6.1 0.4,5 0,4'],
+    '7': [6, '0,10 6,10 2,0'],
+    '8': [6, '3,10 1.2,9.5 0.6,8.2 1,6.3 3,5.4 5,6.3 5.4,8.2 4.8,9.5 3,10;3,5.4 0.8,4.5 0,2.8 0.5,0.9 3,0 5.5,0.9 6,2.8 5.2,4.5 3,5.4'],
+    '9': [6, '6,6 5.6,4.4 4.4,3.3 3,3 1.6,3.3 0.4,4.4 0,6 0.4,8.4 1.6,9.7 3,10 4.4,9.7 5.6,8.4 6,6 5.8,3 5,1 3.5,0 2,0 0.5,1'],
+    '.': [0, '0,0 0,0.4'],
+    ',': [1, '1,0.5 1,0 0,-1.5'],
+    ':': [0, '0,0 0,0.4;0,6 0,6.4'],
+    '-': [4, '0,4.5 4,4.5'],
+    '_': [6, '0,-1 6,-1'],
+    '+': [6, '3,2 3,8;0,5 6,5'],
+    '=': [6, '0,3.5 6,3.5;0,6.5 6,6.5'],
+    '/': [5, '0,-0.5 5,10.5'],
+    '#': [6.3, '2,0 2.8,10;4,0 4.8,10;0.3,3.5 6,3.5;0.5,6.5 6.3,6.5'],
+    '*': [5, '2.5,9 2.5,3;0,7.5 5,4.5;0,4.5 5,7.5'],
+    '(': [3, '3,11 1,8.5 0,5 1,1.5 3,-1'],
+    ')': [3, '0,11 2,8.5 3,5 2,1.5 0,-1'],
+    '!': [0, '0,10 0,3;0,0 0,0.4'],
+    '?': [5, '0,8.2 1,9.5 2.5,10 4,9.5 5,8.2 4.8,6.8 2.5,5 2.5,3;2.5,0 2.5,0.4'],
+    '\'': [0, '0,10 0,7'],
+    '"': [2, '0,10 0,7;2,10 2,7']
+};
+
+/**
+ * Strokes of `text` in STROKE_FONT: point lists in millimeters. Glyphs
+ * are `height` tall, `spacing` mm apart and start at (x, y) on the
+ * baseline, which is turned by `rotation` degrees. A non-zero
+ * `arcRadius` bends the baseline round a circle: positive radii arch
+ * the text up (center below), negative ones curve it down.
+ */
+function layoutText({ text, height, spacing, x, y, rotation, arcRadius }) {
+    const scale = height / 10;
+    const strokes = [];
+    let cursor = 0;
+    for (const char of text.toUpperCase()) {
+        const [width, data] = STROKE_FONT[char] || STROKE_FONT['?'];
+        for (const stroke of data ? data.split(';') : []) {
+            strokes.push(stroke.split(' ').map(pair => {
+                const [u, v] = pair.split(',').map(Number);
+                return { u: cursor + u * scale, v: v * scale };
+            }));
+        }
+        cursor += width * scale + spacing;
+    }
+
+    // Split long strokes on an arc so they follow the curve
+    const bend = (points) => {
+        if (!arcRadius) return points;
+        const step = height / 5;
+        const fine = [points[0]];
+        for (let k = 1; k < points.length; k++) {
+            const a = points[k - 1];
+            const b = points[k];
+            const count = Math.max(1, Math.ceil(Math.hypot(b.u - a.u, b.v - a.v) / step));
+            for (let i = 1; i <= count; i++) {
+                fine.push({ u: a.u + (b.u - a.u) * i / count, v: a.v + (b.v - a.v) * i / count });
+            }
+        }
+        return fine.map(({ u, v }) => ({
+            u: (arcRadius + v) * Math.sin(u / arcRadius),
+            v: (arcRadius + v) * Math.cos(u / arcRadius) - arcRadius
+        }));
+    };
+
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return strokes.map(points => bend(points).map(({ u, v }) => ({
+        x: x + u * cos - v * sin,
+        y: y + u * sin + v * cos
+    })));
+}
+
+/**
+ * The text and the options given in a chat request such as
+ * "engrave 'PART 12' at 10,10 height 5 rotate 90 arc 40". Only options
+ * found in the message are set; null when it is not a text request.
+ */
+function parseTextRequest(message) {
+    const match = message.match(/\b(?:engrave|text|write|label)\b(?:\s+text\b)?\s*:?\s*(?:'([^']+)'|"([^"]+)"|“([^”]+)”)/i);
+    if (!match) return null;
+
+    // Options are read outside the quotes so the text itself cannot set them
+    const options = message.replace(match[0], ' ');
+    const number = '(-?\\d+(?:\\.\\d+)?)';
+    const request = { text: match[1] || match[2] || match[3] };
+    const position = options.match(new RegExp(`\\bat\\s*${number}\\s*[,\\s]\\s*${number}`, 'i'));
+    if (position) {
+        request.x = parseFloat(position[1]);
+        request.y = parseFloat(position[2]);
+    }
+    for (const [key, pattern] of [
+        ['height', `\\b(?:height|size)\\s*=?\\s*${number}`],
+        ['spacing', `\\bspacing\\s*=?\\s*${number}`],
+        ['rotation', `\\b(?:rotat(?:e|ed|ion)|angle)(?:\\s+by)?\\s*=?\\s*${number}`],
+        ['arcRadius', `\\barc\\s*(?:radius\\s*)?=?\\s*${number}`],
+        ['depth', `\\bdepth\\s*=?\\s*${number}`]
+    ]) {
+        const found = options.match(new RegExp(pattern, 'i'));
+        if (found) request[key] = parseFloat(found[1]);
+    }
+    return request;
+}
+
+// The worker imports this file; in the browser its declarations are globals
+if (typeof module !== 'undefined') {
+    module.exports = { TEXT_DEFAULTS, STROKE_FONT, layoutText, parseTextRequest };
+}
@@ -4,6 +4,8 @@
  * Design: Use sensible defaults, generate G-code immediately, minimal questions
  */
 
+import { TEXT_DEFAULTS, layoutText, parseTextRequest } from '../../stroke-font.js';
+
 // ===== G-code Generators =====
 const GCODE = {
     circle: (x = 50, y = 50, r = 20) => `G21
@@ -49,6 +51,15 @@ G0 X${parseFloat(x1).toFixed(2)} Y${parseFloat(y1).toFixed(2)}
 G0 Z-1
 G1 X${parseFloat(x2).toFixed(2)} Y${parseFloat(y2).toFixed(2)} F400
 G0 Z5
+G0 X0 Y0`,
+
+    text: ({ text, x, y, height, spacing, rotation, arcRadius, depth } = TEXT_DEFAULTS) => `G21
+G90
+G0 Z5
+${layoutText({ text, x, y, height, spacing, rotation, arcRadius }).map(points => `G0 X${points[0].x.toFixed(2)} Y${points[0].y.toFixed(2)}
+G0 Z${(-depth).toFixed(2)}
+${points.slice(1).map(p => `G1 X${p.x.toFixed(2)} Y${p.y.toFixed(2)} F400`).join('\n')}
+G0 Z5`).join('\n')}
 G0 X0 Y0`
 };
 
@@ -56,6 +67,17 @@ G0 X0 Y0`
 function processMessage(message) {
     const lower = message.toLowerCase();
 
+    // ===== TEXT =====
+    // Checked first: the quoted text may contain any other keyword
+    const textRequest = parseTextRequest(message);
+    if (textRequest) {
+        const settings = { ...TEXT_DEFAULTS, ...textRequest };
+        const { text, x, y, height, depth } = settings;
+        return {
+            response: `Text created! "${text}" at (${x}, ${y}), Height: ${height}mm, Depth: ${depth}mm\n\n\`\`\`gcode\n${GCODE.text(settings)}\n\`\`\``
+        };
+    }
+
     // ===== CIRCLE =====
     if (lower.includes('circle') || lower.includes('circul')) {
         // Extract radius - support cm and mm
@@ -135,7 +157,7 @@ function processMessage(message) {
     // ===== HELP =====
     if (lower.includes('help')) {
         return {
-            response: `**Quick commands:**\n- "circle 8cm" or "circle radius 20"\n- "rectangle 50x30"\n- "square 40mm"\n- "line from 0,0 to 50,50"`
+            response: `**Quick commands:**\n- "circle 8cm" or "circle radius 20"\n- "rectangle 50x30"\n- "square 40mm"\n- "line from 0,0 to 50,50"\n- "engrave 'PART 12' at 10,10 height 5"`
         };
     }
 